@@ -0,0 +1,403 @@
+/* adapters.js — محوّلات التخزين الخلفية لـ FinanceStorage
+   كل محوّل يوفّر:
+     load(keys)        → { key: value } (متزامن أو Promise)
+     write(key, value) → حفظ قيمة مفتاح كاملة (قائمة سجلات أو كائن)
+     remove(key)       → حذف المفتاح
+
+   ومخازن الملفات (المرفقات) تحفظ Blob لكل معرّف خارج بيانات JSON، وكلها غير متزامنة:
+     put(id, blob) / get(id) → Blob أو null / delete(id) / clear() / keys() → [id]
+
+   EncryptedAdapter و EncryptedFileStore يغلّفان أي محوّل/مخزن ملفات بتشفير AES-GCM (انظر cipher.js).
+*/
+
+// ---------- localStorage: قيمة JSON واحدة لكل مفتاح ----------
+class LocalStorageAdapter {
+  constructor() {
+    this.name = "localStorage";
+  }
+
+  load(keys) {
+    const data = {};
+    for (const k of keys) {
+      try {
+        const raw = localStorage.getItem(k);
+        if (raw != null) data[k] = JSON.parse(raw);
+      } catch {
+        // قيمة تالفة — تُعامل كأنها غير موجودة
+      }
+    }
+    return data;
+  }
+
+  write(key, value) {
+    localStorage.setItem(key, JSON.stringify(value));
+  }
+
+  remove(key) {
+    localStorage.removeItem(key);
+  }
+}
+
+// ---------- ذاكرة فقط: للاختبارات والتجارب دون أثر دائم ----------
+class MemoryAdapter {
+  constructor(initial = {}) {
+    this.name = "memory";
+    this.data = new Map(Object.entries(structuredClone(initial)));
+  }
+
+  load(keys) {
+    const data = {};
+    for (const k of keys) if (this.data.has(k)) data[k] = structuredClone(this.data.get(k));
+    return data;
+  }
+
+  write(key, value) {
+    this.data.set(key, structuredClone(value));
+  }
+
+  remove(key) {
+    this.data.delete(key);
+  }
+}
+
+// ---------- IndexedDB: كل سجل مخزّن منفردًا مع فهارس ----------
+// الجداول (قوائم سجلات لها id) تُحفظ في مخزن كائنات باسم الجدول،
+// وبقية المفاتيح (meta، النسخة الاحتياطية، ترتيب السجلات) في مخزن "kv".
+class IndexedDBAdapter {
+  // الفهارس لكل جدول: اسم الفهرس → مسار الحقل
+  static INDEXES = {
+    transactions: { date: "date", accountId: "accountId", categoryId: "categoryId" },
+    ledger: { date: "date", accountId: "accountId" },
+    debts: { date: "date", personId: "personId", accountId: "accountId" },
+  };
+
+  constructor(namespace, tables) {
+    this.name = "indexedDB";
+    this.ns = namespace;
+    this.tables = tables;
+    this.db = null;
+    this._known = {}; // table → Map(id → JSON) لمعرفة ما تغيّر فعلًا
+  }
+
+  static isSupported() {
+    return typeof indexedDB !== "undefined" && indexedDB !== null;
+  }
+
+  _table(key) {
+    const t = key.startsWith(`${this.ns}:`) ? key.slice(this.ns.length + 1) : null;
+    return this.tables.includes(t) ? t : null;
+  }
+
+  _req(req) {
+    return new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  _done(tx) {
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error("IndexedDB transaction aborted"));
+    });
+  }
+
+  // فهارس المخزن تطابق INDEXES؟ (فهرس أُضيف أو أُزيل بعد إنشاء القاعدة)
+  static _indexesMatch(store, table) {
+    const wanted = Object.keys(IndexedDBAdapter.INDEXES[table] || {});
+    return store.indexNames.length === wanted.length && wanted.every((name) => store.indexNames.contains(name));
+  }
+
+  // يفتح القاعدة، ويرفع إصدارها تلقائيًا إذا أُضيف جدول جديد لا مخزن له بعد أو تغيّرت فهارس جدول
+  _open(version = null) {
+    return new Promise((resolve, reject) => {
+      const req = version ? indexedDB.open(this.ns, version) : indexedDB.open(this.ns);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        for (const t of this.tables) {
+          const indexes = IndexedDBAdapter.INDEXES[t] || {};
+          const store = db.objectStoreNames.contains(t)
+            ? req.transaction.objectStore(t)
+            : db.createObjectStore(t, { keyPath: "id" });
+          for (const name of [...store.indexNames]) if (!indexes[name]) store.deleteIndex(name);
+          for (const [name, path] of Object.entries(indexes)) {
+            if (!store.indexNames.contains(name)) store.createIndex(name, path, { unique: false });
+          }
+        }
+        if (!db.objectStoreNames.contains("kv")) db.createObjectStore("kv");
+      };
+      req.onsuccess = () => {
+        const db = req.result;
+        const missing = [...this.tables, "kv"].some((t) => !db.objectStoreNames.contains(t));
+        const tx = missing ? null : db.transaction(this.tables, "readonly");
+        const stale = tx && this.tables.some((t) => !IndexedDBAdapter._indexesMatch(tx.objectStore(t), t));
+        if (!missing && !stale) return resolve(db);
+        const next = db.version + 1;
+        db.close();
+        resolve(this._open(next));
+      };
+      req.onerror = () => reject(req.error);
+      req.onblocked = () => reject(new Error("IndexedDB upgrade blocked by another open tab"));
+    });
+  }
+
+  async load(keys) {
+    this.db = await this._open();
+    const data = await this._readAll(keys);
+
+    // أول تشغيل على IndexedDB: نقل بيانات localStorage القديمة ثم حذفها منه
+    if (!Object.keys(data).length && typeof localStorage !== "undefined") {
+      const legacy = new LocalStorageAdapter().load(keys);
+      if (Object.keys(legacy).length) {
+        for (const [k, v] of Object.entries(legacy)) await this.write(k, v);
+        for (const k of Object.keys(legacy)) localStorage.removeItem(k);
+        return legacy;
+      }
+    }
+    return data;
+  }
+
+  async _readAll(keys) {
+    const tx = this.db.transaction([...this.tables, "kv"], "readonly");
+    const data = {};
+    for (const k of keys) {
+      const table = this._table(k);
+      if (table) {
+        const records = await this._req(tx.objectStore(table).getAll());
+        const order = await this._req(tx.objectStore("kv").get(`order:${table}`));
+        if (!records.length && !order) {
+          // جدول محفوظ كقيمة واحدة (ظرف مشفر مثلًا)
+          const v = await this._req(tx.objectStore("kv").get(k));
+          if (v !== undefined) data[k] = v;
+          continue;
+        }
+        // استعادة ترتيب الإدخال الأصلي
+        const pos = new Map((order || []).map((id, i) => [id, i]));
+        records.sort((a, b) => (pos.get(a.id) ?? Infinity) - (pos.get(b.id) ?? Infinity));
+        data[k] = records;
+        this._known[table] = new Map(records.map((r) => [r.id, JSON.stringify(r)]));
+      } else {
+        const v = await this._req(tx.objectStore("kv").get(k));
+        if (v !== undefined) data[k] = v;
+      }
+    }
+    return data;
+  }
+
+  // حفظ الفروقات فقط: إضافة/تحديث السجلات المتغيرة وحذف المحذوفة
+  async write(key, value) {
+    const table = this._table(key);
+    if (!table || !Array.isArray(value)) {
+      const tx = this.db.transaction(table ? [table, "kv"] : "kv", "readwrite");
+      // جدول يُحفظ كقيمة واحدة: تُحذف سجلاته المنفردة حتى لا تبقى نسخة مقروءة
+      if (table) {
+        tx.objectStore(table).clear();
+        tx.objectStore("kv").delete(`order:${table}`);
+        this._known[table] = new Map();
+      }
+      tx.objectStore("kv").put(value, key);
+      return this._done(tx);
+    }
+
+    const known = this._known[table] || new Map();
+    const next = new Map();
+    const tx = this.db.transaction([table, "kv"], "readwrite");
+    const store = tx.objectStore(table);
+    for (const rec of value) {
+      const json = JSON.stringify(rec);
+      next.set(rec.id, json);
+      if (known.get(rec.id) !== json) store.put(rec);
+    }
+    for (const id of known.keys()) if (!next.has(id)) store.delete(id);
+    tx.objectStore("kv").put(value.map((r) => r.id), `order:${table}`);
+    tx.objectStore("kv").delete(key);
+    this._known[table] = next;
+    return this._done(tx);
+  }
+
+  async remove(key) {
+    const table = this._table(key);
+    const tx = this.db.transaction(table ? [table, "kv"] : "kv", "readwrite");
+    if (table) {
+      tx.objectStore(table).clear();
+      tx.objectStore("kv").delete(`order:${table}`);
+      this._known[table] = new Map();
+    }
+    tx.objectStore("kv").delete(key);
+    return this._done(tx);
+  }
+
+  // استعلام مباشر عبر فهرس (مثال: كل معاملات حساب معيّن)
+  async queryIndex(table, index, query) {
+    const tx = this.db.transaction(table, "readonly");
+    return this._req(tx.objectStore(table).index(index).getAll(query));
+  }
+}
+
+// ---------- ملفات في IndexedDB: قاعدة مستقلة "<namespace>:files" ----------
+class IndexedDBFileStore {
+  constructor(namespace) {
+    this.name = "indexedDB";
+    this.dbName = `${namespace}:files`;
+    this._db = null;
+  }
+
+  static isSupported() {
+    return IndexedDBAdapter.isSupported();
+  }
+
+  _open() {
+    if (!this._db) {
+      this._db = new Promise((resolve, reject) => {
+        const req = indexedDB.open(this.dbName, 1);
+        req.onupgradeneeded = () => req.result.createObjectStore("files");
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+    }
+    return this._db;
+  }
+
+  // تنفيذ طلب واحد على مخزن الملفات وانتظار اكتمال المعاملة
+  async _run(mode, fn) {
+    const db = await this._open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction("files", mode);
+      const req = fn(tx.objectStore("files"));
+      tx.oncomplete = () => resolve(req.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error("IndexedDB transaction aborted"));
+    });
+  }
+
+  put(id, blob) {
+    return this._run("readwrite", (s) => s.put(blob, id));
+  }
+
+  async get(id) {
+    return (await this._run("readonly", (s) => s.get(id))) || null;
+  }
+
+  delete(id) {
+    return this._run("readwrite", (s) => s.delete(id));
+  }
+
+  clear() {
+    return this._run("readwrite", (s) => s.clear());
+  }
+
+  keys() {
+    return this._run("readonly", (s) => s.getAllKeys());
+  }
+}
+
+// ---------- ملفات في الذاكرة: للاختبارات أو عند غياب IndexedDB (لا تبقى بعد الإغلاق) ----------
+class MemoryFileStore {
+  constructor() {
+    this.name = "memory";
+    this.files = new Map();
+  }
+
+  async put(id, blob) {
+    this.files.set(id, blob);
+  }
+
+  async get(id) {
+    return this.files.get(id) || null;
+  }
+
+  async delete(id) {
+    this.files.delete(id);
+  }
+
+  async clear() {
+    this.files.clear();
+  }
+
+  async keys() {
+    return [...this.files.keys()];
+  }
+}
+
+// ---------- تشفير فوق أي محوّل: كل قيمة تُحفظ كظرف { enc, iv, ct } ----------
+// المفتاح في الذاكرة فقط (cipher)، والقيم غير المشفرة المتبقية من قبل التفعيل تُشفَّر عند أول تحميل.
+class EncryptedAdapter {
+  constructor(inner, cipher) {
+    this.name = `encrypted:${inner.name}`;
+    this.inner = inner;
+    this.cipher = cipher;
+  }
+
+  async load(keys) {
+    const raw = await this.inner.load(keys);
+    const data = {};
+    for (const [k, v] of Object.entries(raw)) {
+      if (DataCipher.isEnvelope(v)) {
+        data[k] = await this.cipher.decrypt(v);
+      } else {
+        data[k] = v;
+        await this.write(k, v);
+      }
+    }
+    return data;
+  }
+
+  async write(key, value) {
+    return this.inner.write(key, await this.cipher.encrypt(value));
+  }
+
+  remove(key) {
+    return this.inner.remove(key);
+  }
+}
+
+// ---------- تشفير فوق مخزن ملفات: { enc, type, iv, ct } بدل Blob ----------
+class EncryptedFileStore {
+  constructor(inner, cipher) {
+    this.name = `encrypted:${inner.name}`;
+    this.inner = inner;
+    this.cipher = cipher;
+  }
+
+  _bytes(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsArrayBuffer(blob);
+    });
+  }
+
+  async put(id, blob) {
+    const { iv, ct } = await this.cipher.encryptBytes(await this._bytes(blob));
+    return this.inner.put(id, { enc: "AES-GCM", type: blob.type, iv, ct });
+  }
+
+  // الملفات المحفوظة قبل التفعيل تُعاد كما هي
+  async get(id) {
+    const stored = await this.inner.get(id);
+    if (!stored || stored instanceof Blob || stored.enc !== "AES-GCM") return stored || null;
+    return new Blob([await this.cipher.decryptBytes(stored.iv, stored.ct)], { type: stored.type });
+  }
+
+  delete(id) {
+    return this.inner.delete(id);
+  }
+
+  clear() {
+    return this.inner.clear();
+  }
+
+  keys() {
+    return this.inner.keys();
+  }
+}
+
+window.LocalStorageAdapter = LocalStorageAdapter;
+window.MemoryAdapter = MemoryAdapter;
+window.IndexedDBAdapter = IndexedDBAdapter;
+window.IndexedDBFileStore = IndexedDBFileStore;
+window.MemoryFileStore = MemoryFileStore;
+window.EncryptedAdapter = EncryptedAdapter;
+window.EncryptedFileStore = EncryptedFileStore;
@@ -7,10 +7,17 @@
   const $  = (sel, ctx = document) => ctx.querySelector(sel);
   const $$ = (sel, ctx = document) => [...ctx.querySelectorAll(sel)];
 
-  const SAR_FMT = new Intl.NumberFormat("ar-SA", { style: "currency", currency: "SAR", maximumFractionDigits: 2 });
   const NUM_FMT = new Intl.NumberFormat("ar-SA", { maximumFractionDigits: 0 });
 
-  const formatCurrency = (n) => (isFinite(n) ? SAR_FMT.format(+n || 0) : "—");
+  // منسّق لكل عملة (يُنشأ مرة ويُعاد استخدامه)
+  const CURRENCY_FMTS = new Map();
+  const formatCurrency = (n, currency = "SAR") => {
+    if (!isFinite(n)) return "—";
+    if (!CURRENCY_FMTS.has(currency)) {
+      CURRENCY_FMTS.set(currency, new Intl.NumberFormat("ar-SA", { style: "currency", currency, maximumFractionDigits: 2 }));
+    }
+    return CURRENCY_FMTS.get(currency).format(+n || 0);
+  };
   const formatDate = (iso) => {
     try {
       const d = new Date(iso);
@@ -22,12 +29,30 @@
     return isFinite(n) ? n : 0;
   };
 
-  // Toast notification (مستقل عن CSS خارجي)
+  // نص من مصدر خارجي (ملف مستورد، اسم أدخله المستخدم) قبل وضعه في innerHTML
+  const escapeHtml = (s) => String(s ?? "").replace(/[<>&'"]/g, (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", "'": "&#39;", '"': "&quot;" }[c]));
+
+  // تنزيل ملف من Blob
+  const downloadBlob = (filename, blob) => {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url; a.download = filename;
+    document.body.appendChild(a); a.click();
+    a.remove(); URL.revokeObjectURL(url);
+  };
+
+  // Toast notification (مستقل عن CSS خارجي) — type: success | warning | error
   function showToast(message, type = "success") {
     const toast = document.createElement("div");
-    const bg = type === "success" ? "linear-gradient(135deg,#16a34a66,#16a34a22)" : "linear-gradient(135deg,#ef444466,#ef444422)";
+    const bg = {
+      success: "linear-gradient(135deg,#16a34a66,#16a34a22)",
+      warning: "linear-gradient(135deg,#f9731666,#f9731622)",
+    }[type] || "linear-gradient(135deg,#ef444466,#ef444422)";
+    // التنبيهات المتزامنة تُرصّ تحت بعضها
+    const top = 80 + document.querySelectorAll(".qb-toast").length * 64;
+    toast.className = "qb-toast";
     toast.style.cssText = `
-      position: fixed; top: 80px; right: 20px; z-index: 2000;
+      position: fixed; top: ${top}px; right: 20px; z-index: 2000;
       color: #fff; padding: 14px 18px; border-radius: 12px;
       backdrop-filter: blur(10px); -webkit-backdrop-filter: blur(10px);
       border: 1px solid rgba(255,255,255,0.25); box-shadow: 0 10px 30px rgba(0,0,0,.25);
@@ -38,22 +63,203 @@
     setTimeout(() => toast.remove(), 3000);
   }
 
+  // ---------- رسوم SVG (بلا مكتبات، تعمل دون اتصال) ----------
+  const CHART_COLORS = ["#00d4ff", "#b794f6", "#48bb78", "#ed8936", "#f687b3", "#4fd1c7", "#f6e05e", "#fc8181"];
+  const MONTH_FMT = new Intl.DateTimeFormat("ar-SA-u-ca-gregory", { month: "short" });
+
+  // مخطط حلقي: slices = [{ value, color, label }] مع نص في المنتصف
+  const donutSVG = (slices, centerText = "") => {
+    const total = slices.reduce((s, x) => s + x.value, 0);
+    const r = 60, c = 2 * Math.PI * r;
+    let offset = 0;
+    const arcs = total > 0 ? slices.filter((x) => x.value > 0).map((x) => {
+      const len = (x.value / total) * c;
+      const arc = `<circle cx="80" cy="80" r="${r}" fill="none" stroke="${x.color}" stroke-width="24"
+        stroke-dasharray="${len} ${c - len}" stroke-dashoffset="${-offset}" transform="rotate(-90 80 80)"><title>${x.label}</title></circle>`;
+      offset += len;
+      return arc;
+    }).join("") : "";
+    return `
+      <svg viewBox="0 0 160 160" width="160" height="160" role="img" style="flex-shrink:0;">
+        <circle cx="80" cy="80" r="${r}" fill="none" stroke="rgba(255,255,255,0.08)" stroke-width="24" />
+        ${arcs}
+        <text x="80" y="85" text-anchor="middle" font-size="13" font-weight="700" fill="currentColor">${centerText}</text>
+      </svg>`;
+  };
+
+  // أعمدة متجاورة لكل فئة على المحور: groups = [{ label, values: [..], titles: [..] }]
+  const barsSVG = (groups, colors) => {
+    const W = 360, H = 180, top = 10, bottom = 22;
+    const slot = W / Math.max(1, groups.length);
+    const series = groups[0]?.values.length || 1;
+    const barW = Math.max(2, (slot - 6) / series);
+    const max = Math.max(1, ...groups.flatMap((g) => g.values));
+    const scale = (v) => ((H - top - bottom) * v) / max;
+    const bars = groups.map((g, i) => {
+      const x0 = i * slot + 3;
+      const rects = g.values.map((v, k) => {
+        const h = scale(v);
+        return `<rect x="${x0 + k * barW}" y="${H - bottom - h}" width="${barW - 1}" height="${h}" rx="2" fill="${colors[k]}"><title>${g.titles?.[k] || ""}</title></rect>`;
+      }).join("");
+      return `${rects}<text x="${x0 + (slot - 6) / 2}" y="${H - 6}" text-anchor="middle" font-size="9" fill="currentColor">${g.label}</text>`;
+    }).join("");
+    return `
+      <svg viewBox="0 0 ${W} ${H}" width="100%" role="img" direction="ltr">
+        <line x1="0" y1="${H - bottom}" x2="${W}" y2="${H - bottom}" stroke="rgba(255,255,255,0.2)" />
+        ${bars}
+      </svg>`;
+  };
+
+  // شريطان أفقيان (داخل/خارج) بنسبة الأكبر منهما
+  const flowSVG = (inflow, outflow) => {
+    const max = Math.max(inflow, outflow, 1);
+    return `
+      <svg viewBox="0 0 200 16" width="100%" height="16" role="img" preserveAspectRatio="none" style="margin-top:6px;">
+        <rect x="0" y="1" width="${(200 * inflow) / max}" height="6" rx="3" fill="#48bb78" />
+        <rect x="0" y="9" width="${(200 * outflow) / max}" height="6" rx="3" fill="#ed8936" />
+      </svg>`;
+  };
+
+  // منحنى قيم يومية مع خط الصفر وخط حد اختياري — labels: [البداية، المنتصف، النهاية]
+  const lineSVG = (values, { threshold = null, labels = [] } = {}) => {
+    const W = 360, H = 160, top = 10, bottom = 20;
+    const lo = Math.min(0, threshold ?? 0, ...values);
+    const hi = Math.max(1, threshold ?? 0, ...values);
+    const x = (i) => (W * i) / Math.max(1, values.length - 1);
+    const y = (v) => top + ((hi - v) * (H - top - bottom)) / (hi - lo || 1);
+    const hline = (v, color, dashed = false) =>
+      `<line x1="0" x2="${W}" y1="${y(v)}" y2="${y(v)}" stroke="${color}"${dashed ? ' stroke-dasharray="4 3"' : ""} />`;
+    const min = Math.min(...values);
+    const minIdx = values.indexOf(min);
+    const anchors = ["start", "middle", "end"];
+    return `
+      <svg viewBox="0 0 ${W} ${H}" width="100%" role="img" direction="ltr">
+        ${hline(0, "rgba(255,255,255,0.25)")}
+        ${threshold ? hline(threshold, "#ed8936", true) : ""}
+        <polyline points="${values.map((v, i) => `${x(i).toFixed(1)},${y(v).toFixed(1)}`).join(" ")}" fill="none" stroke="#00d4ff" stroke-width="2" />
+        <circle cx="${x(minIdx)}" cy="${y(min)}" r="3" fill="${min < (threshold ?? 0) ? "#ef4444" : "#00d4ff"}" />
+        ${labels.map((l, i) => `<text x="${(W * i) / 2}" y="${H - 4}" text-anchor="${anchors[i]}" font-size="9" fill="currentColor">${l}</text>`).join("")}
+      </svg>`;
+  };
+
   // ---------- App Core ----------
   class FinanceApp {
     constructor() {
-      // يتطلب FinanceStorage من storage.js
-      this.store = new FinanceStorage();
+      // الملف الشخصي النشط يحدد مساحة التخزين والرقم السري (انظر profiles.js)
+      this.profiles = new ProfileRegistry();
+      this.profile = this.profiles.active();
+      // الرقم السري والجلسة (auth.js يُنشئه عند حماية الصفحة)
+      this.auth = window.pinAuth || new PinAuth(this.profiles.authNamespace(this.profile));
+      this.store = null; // يُفتح في openStore (بعد فك القفل في الوضع المشفّر)
+      this.forecast = null;
 
       // الحالة
       this.currentTab = "dashboard";
       this.activePeriod = "week"; // للفلاتر
-
-      // تشغيل init مهما كان توقيت تحميل السكربت
+      this.editingTransactionId = null; // معرّف المعاملة قيد التعديل (إن وجدت)
+      this.editingRecurringId = null; // قالب التكرار قيد التعديل
+      this.pendingImport = null; // محتوى ملف النسخة الاحتياطية قبل التأكيد
+      this.statementRows = [];   // صفوف كشف CSV الخام
+      this.statementCandidates = []; // الصفوف بعد التحويل (مع تعليم المكرر)
+
+      // تشغيل init بعد فك القفل وجاهزية التخزين (IndexedDB غير متزامن) مهما كان توقيت تحميل السكربت
+      const start = () => this.unlock()
+        .then((cipher) => this.openStore(cipher).ready)
+        .then(() => this.init());
       if (document.readyState === "loading") {
-        document.addEventListener("DOMContentLoaded", () => this.init());
+        document.addEventListener("DOMContentLoaded", start);
       } else {
-        this.init();
+        start();
+      }
+    }
+
+    // التشفير مرتبط بسجل الرقم السري، فيُطبَّق على كل الملفات الشخصية التي تشاركه —
+    // إن تعذر تحويل أحدها أُعيد ما تحوّل إلى وضعه السابق قبل رمي الخطأ
+    async applyEncryption(cipher) {
+      const current = this.store.adapter.cipher || null;
+      const stores = [];
+      for (const p of this.profiles.sharing(this.auth.ns)) {
+        if (p.id === this.profile.id) continue;
+        const other = current ? FinanceStorage.withCipher(p.namespace, current) : new FinanceStorage(p.namespace);
+        await other.ready;
+        stores.push(other);
+      }
+      stores.push(this.store);
+
+      const touched = [];
+      try {
+        for (const store of stores) {
+          touched.push(store);
+          await store.setEncryption(cipher);
+        }
+      } catch (err) {
+        for (const store of touched.reverse()) {
+          await store.setEncryption(current).catch((e) => console.error("تعذر إرجاع التشفير", e));
+        }
+        throw err;
+      }
+    }
+
+    // يتطلب FinanceStorage من storage.js — cipher: مفتاح البيانات في الوضع المشفّر
+    openStore(cipher = null) {
+      const ns = this.profile.namespace;
+      this.store = cipher ? FinanceStorage.withCipher(ns, cipher) : new FinanceStorage(ns);
+      this.store.profile = { id: this.profile.id, name: this.profile.name };
+      this.store.onSaveError = (err) => {
+        console.error(err);
+        showToast("تعذر حفظ التغييرات على هذا الجهاز — ستُعاد المحاولة تلقائيًا. صدّر نسخة احتياطية إن استمر الخطأ", "error");
+      };
+      this.forecast = new CashFlowForecast(this.store);
+      return this.store;
+    }
+
+    // الوضع المشفّر: طلب الرقم السري قبل تحميل أي بيانات — يُرجع مفتاح البيانات (أو null في الوضع العادي)
+    unlock() {
+      if (!this.auth.isEncrypted()) return Promise.resolve(null);
+      const status = $("#unlock-status");
+      if (new URLSearchParams(location.search).get("locked") === "idle") status.textContent = "تم القفل تلقائيًا بسبب عدم النشاط";
+      // تبديل الملف قبل الفتح: صفحة الدخول تتولى الملف الجديد (برقمه أو بفك تشفيره)
+      const profiles = this.profiles.list();
+      if (profiles.length > 1) {
+        const select = $("#unlock-profile");
+        select.innerHTML = profiles.map((p) => `<option value="${p.id}">${escapeHtml(p.name)}${p.ownPin ? " 🔑" : ""}</option>`).join("");
+        select.value = this.profile.id;
+        select.addEventListener("change", () => {
+          this.profiles.setActive(select.value);
+          location.replace("index.html");
+        });
+        $("#unlock-profile-group").style.display = "";
       }
+      this.openModal("unlock-modal");
+
+      return new Promise((resolve) => {
+        let busy = false;
+        $("#unlock-form").addEventListener("submit", async (e) => {
+          e.preventDefault();
+          if (busy) return;
+          busy = true;
+          try {
+            const result = await this.auth.unlock($("#unlock-pin").value);
+            $("#unlock-pin").value = "";
+            if (!result.ok) {
+              const left = Math.ceil((result.lockedUntil - Date.now()) / 1000);
+              status.textContent = result.lockedUntil
+                ? `محاولات خاطئة كثيرة. حاول مجددًا بعد ${left >= 60 ? `${Math.ceil(left / 60)} دقيقة` : `${left} ثانية`}`
+                : `الرقم السري غير صحيح. المحاولات المتبقية: ${result.attemptsLeft}`;
+              return;
+            }
+            this.auth.startSession();
+            this.auth.watch("index.html");
+            $("#unlock-modal").style.display = "none";
+            resolve(result.cipher);
+          } catch (err) {
+            console.error(err);
+            status.textContent = "تعذر فك تشفير البيانات";
+          } finally {
+            busy = false;
+          }
+        });
+      });
     }
 
     init() {
@@ -66,15 +272,65 @@
       // مزامنة القوائم من التخزين
       this.renderAccountsSelect();
       this.renderCategoriesSelect();
+      this.renderCurrencySelects();
       this.renderPeopleList();
 
       this.refreshAllViews();
+      this.runRecurring();
+
+      this.renderProfiles();
+
+      // تذكيرات الديون: عند الفتح ثم كل ساعة ما دام التطبيق مفتوحًا
+      this.remindedDebts = new Set();
+      this.checkDebtReminders();
+      setInterval(() => this.checkDebtReminders(), 60 * 60 * 1000);
+    }
+
+    // إشعار متصفح لكل دين متأخر أو مستحق اليوم/غدًا — مرة واحدة يوميًا لكل دين
+    checkDebtReminders() {
+      if (!this.store.getSetting("debtReminders", false)) return;
+      if (typeof Notification === "undefined" || Notification.permission !== "granted") return;
+      const today = new Date().toISOString().split("T")[0];
+      for (const d of this.store.getDueDebts({ days: 1 })) {
+        const key = `${d.id}:${today}`;
+        if (this.remindedDebts.has(key)) continue;
+        this.remindedDebts.add(key);
+        const who = this.personName(d.personId);
+        const title = d.type === "to-me" ? `دين لك عند ${who}` : `دين عليك لـ ${who}`;
+        new Notification(title, {
+          body: `${this.dueLabel(d.daysUntilDue)} • المتبقي ${formatCurrency(d.remaining, this.accountCurrency(d.accountId))}`,
+          tag: key,
+        });
+      }
+    }
+
+    // وصف موعد الاستحقاق نسبةً لليوم
+    dueLabel(days) {
+      if (days == null) return "بلا موعد استحقاق";
+      if (days === 0) return "مستحق اليوم";
+      if (days === 1) return "مستحق غدًا";
+      const n = Math.abs(days);
+      const span = n === 1 ? "يوم" : n === 2 ? "يومين" : `${NUM_FMT.format(n)} ${n <= 10 ? "أيام" : "يومًا"}`;
+      return days < 0 ? `متأخر منذ ${span}` : `مستحق بعد ${span}`;
+    }
+
+    // توليد المعاملات المتكررة المستحقة عند فتح التطبيق
+    async runRecurring() {
+      const { posted, pending, failed } = await this.store.processRecurring();
+      if (!posted.length && !pending.length) return;
+      this.refreshAllViews();
+      const parts = [];
+      if (posted.length) parts.push(`تم تسجيل ${NUM_FMT.format(posted.length)} معاملة متكررة`);
+      if (pending.length) parts.push(`${NUM_FMT.format(pending.length)} بانتظار التأكيد`);
+      showToast(parts.join(" • ") + " 🔁");
+      // التسجيل التلقائي الذي فشل بقي بانتظار التأكيد
+      if (failed.length) showToast(`تعذر تسجيل ${NUM_FMT.format(failed.length)} معاملة متكررة تلقائيًا: ${failed[0].error}`, "warning");
     }
 
-    // ضبط قيمة اليوم لكل حقول التاريخ الفارغة
+    // ضبط قيمة اليوم لكل حقول التاريخ الفارغة (عدا حقول التصفية المعلَّمة بـ data-no-default)
     ensureDefaultDates() {
       const today = new Date().toISOString().split("T")[0];
-      $$('input[type="date"]').forEach((el) => { if (!el.value) el.value = today; });
+      $$('input[type="date"]:not([data-no-default])').forEach((el) => { if (!el.value) el.value = today; });
     }
 
     // ---------- Navigation ----------
@@ -91,16 +347,23 @@
 
       // فلاتر الفترة في صفحة المعاملات
       this.bindPeriodFilters();
-      this.switchTab("dashboard");
+
+      // عنوان محفوظ (#transactions?...) يفتح المعاملات بنفس التصفية
+      window.addEventListener("hashchange", () => this.applyHash());
+      if (!this.applyHash()) this.switchTab("dashboard");
     }
 
     switchTab(tabName) {
       if (!tabName) return;
+      if (tabName !== "transactions" && location.hash.startsWith("#transactions")) {
+        history.replaceState(null, "", location.pathname + location.search);
+      }
       $$(".tab-content").forEach((c) => c.classList.remove("active"));
       $$(".nav-tab").forEach((b) => b.classList.remove("active"));
 
+      // صفحات فرعية بلا زر في الشريط (data-parent) تُبرز زر الصفحة الأم
       const content = $("#" + tabName);
-      const navBtn  = $(`.nav-tab[data-tab="${tabName}"]`);
+      const navBtn  = $(`.nav-tab[data-tab="${content?.dataset.parent || tabName}"]`);
       if (content && navBtn) {
         content.classList.add("active");
         navBtn.classList.add("active");
@@ -114,19 +377,108 @@
         case "accounts":     return this.updateAccountsView();
         case "debts":        return this.updateDebtsView();
         case "savings":      return this.updateSavingsView();
+        case "budgets":      return this.updateBudgetsView();
+        case "reports":      return this.updateReportsView();
         case "settings":     return this.updateSettingsView();
+        case "history":      return this.updateHistoryView();
       }
     }
 
     bindPeriodFilters() {
       $$(".period-btn").forEach((btn) => {
         btn.addEventListener("click", () => {
-          $$(".period-btn").forEach((b) => b.classList.remove("active"));
-          btn.classList.add("active");
-          this.activePeriod = btn.getAttribute("data-period") || "week";
+          this.setActivePeriod(btn.getAttribute("data-period") || "week");
+          if (this.activePeriod === "custom") {
+            $("#tx-filters").open = true;
+            $("#tx-filter-from")?.focus();
+          } else {
+            // الفترات الجاهزة تلغي النطاق المخصص
+            $("#tx-filter-from").value = "";
+            $("#tx-filter-to").value = "";
+          }
+          this.updateTransactionsView();
+        });
+      });
+
+      $("#tx-search")?.addEventListener("input", () => this.updateTransactionsView());
+      ["#tx-filter-account", "#tx-filter-category", "#tx-filter-type", "#tx-filter-tag", "#tx-filter-min", "#tx-filter-max"].forEach((sel) => {
+        $(sel)?.addEventListener("change", () => this.updateTransactionsView());
+      });
+      ["#tx-filter-from", "#tx-filter-to"].forEach((sel) => {
+        $(sel)?.addEventListener("change", () => {
+          this.setActivePeriod("custom");
           this.updateTransactionsView();
         });
       });
+      $("#tx-filters-reset")?.addEventListener("click", () => {
+        $$("#tx-filters input, #tx-filters select").forEach((el) => { el.value = ""; });
+        $("#tx-search").value = "";
+        this.setActivePeriod("week");
+        this.updateTransactionsView();
+      });
+    }
+
+    setActivePeriod(period) {
+      this.activePeriod = period;
+      $$(".period-btn").forEach((b) => b.classList.toggle("active", b.getAttribute("data-period") === period));
+    }
+
+    // قيم التصفية الحالية في صفحة المعاملات (بصيغة filterTransactions)
+    transactionFilters() {
+      const val = (sel) => $(sel)?.value || "";
+      return {
+        search: val("#tx-search").trim(),
+        period: this.activePeriod === "custom" ? "" : this.activePeriod,
+        from: val("#tx-filter-from"),
+        to: val("#tx-filter-to"),
+        account: val("#tx-filter-account"),
+        category: val("#tx-filter-category"),
+        type: val("#tx-filter-type"),
+        tag: val("#tx-filter-tag"),
+        minAmount: val("#tx-filter-min"),
+        maxAmount: val("#tx-filter-max"),
+      };
+    }
+
+    // مفاتيح العنوان ↔ حقول التصفية
+    static HASH_FILTERS = {
+      q: "#tx-search",
+      from: "#tx-filter-from",
+      to: "#tx-filter-to",
+      account: "#tx-filter-account",
+      category: "#tx-filter-category",
+      type: "#tx-filter-type",
+      tag: "#tx-filter-tag",
+      min: "#tx-filter-min",
+      max: "#tx-filter-max",
+    };
+
+    // حفظ التصفية في العنوان ليمكن حفظ العرض كإشارة مرجعية (دون إضافة خطوة للسجل)
+    saveFiltersToHash() {
+      const params = new URLSearchParams({ period: this.activePeriod });
+      for (const [key, sel] of Object.entries(FinanceApp.HASH_FILTERS)) {
+        const v = $(sel)?.value.trim();
+        if (v) params.set(key, v);
+      }
+      history.replaceState(null, "", `#transactions?${params}`);
+    }
+
+    // استعادة التصفية من العنوان — يُرجع false إن لم يكن العنوان لصفحة المعاملات
+    applyHash() {
+      const [tab, query = ""] = location.hash.slice(1).split("?");
+      if (tab !== "transactions") return false;
+      const params = new URLSearchParams(query);
+      this.renderTransactionFilters();
+      for (const [key, sel] of Object.entries(FinanceApp.HASH_FILTERS)) {
+        const el = $(sel);
+        if (el) el.value = params.get(key) || "";
+      }
+      const custom = params.get("from") || params.get("to");
+      this.setActivePeriod(custom ? "custom" : (params.get("period") || "week"));
+      const advanced = ["from", "to", "account", "category", "type", "tag", "min", "max"].some((k) => params.get(k));
+      if (advanced) $("#tx-filters").open = true;
+      this.switchTab("transactions");
+      return true;
     }
 
     // ---------- Modals ----------
@@ -162,10 +514,42 @@
       m.style.display = "none";
       // إعادة ضبط النموذج داخلها
       m.querySelectorAll("form").forEach((f) => f.reset());
+      if (id === "recurring-modal") {
+        this.editingRecurringId = null;
+        $("#recurring-start-label").textContent = "تاريخ البدء";
+        this.syncRecurringTypeFields();
+      }
+      if (id === "statement-modal") {
+        this.statementRows = [];
+        this.statementCandidates = [];
+        this.renderStatementPreview();
+      }
+      if (id === "import-modal") {
+        this.pendingImport = null;
+        $("#import-summary").innerHTML = "";
+        $("#import-password-group").style.display = "none";
+        $("#confirm-import-btn").disabled = true;
+      }
+      if (id === "debt-modal") this.syncDebtPlanFields();
+      if (id === "profiles-modal") $("#profile-pin-group").style.display = "none";
+      if (id === "category-modal") this.editingCategoryId = null;
+      if (id === "attachment-modal") {
+        $("#attachment-viewer").innerHTML = "";
+        if (this.attachmentURL) URL.revokeObjectURL(this.attachmentURL);
+        this.attachmentURL = null;
+      }
+      if (id === "transaction-modal") {
+        this.editingTransactionId = null;
+        $("#transaction-splits").innerHTML = "";
+        $("#transaction-attachment-list").innerHTML = "";
+        $(".modal-title", m).textContent = "إضافة معاملة";
+        this.syncTransactionTypeFields();
+      }
       this.ensureDefaultDates();
       // حدّث القوائم بعد الإغلاق (لو أضفت فئات/أشخاص)
       this.renderAccountsSelect();
       this.renderCategoriesSelect();
+      this.renderCurrencySelects();
       this.renderPeopleList();
     }
 
@@ -175,75 +559,412 @@
         this.renderAccountsSelect();
         this.openModal("transaction-modal");
         $("#transaction-type").value = "income";
+        this.syncTransactionTypeFields();
       });
       $("#add-expense-btn")?.addEventListener("click", () => {
         this.renderAccountsSelect();
         this.openModal("transaction-modal");
         $("#transaction-type").value = "expense";
+        this.syncTransactionTypeFields();
       });
 
       $("#add-transaction-btn")?.addEventListener("click", () => {
         this.renderAccountsSelect();
         this.openModal("transaction-modal");
       });
+      // تعديل/حذف المعاملات من القوائم (تفويض أحداث)
+      [$("#recent-transactions"), $("#all-transactions")].forEach((list) => {
+        list?.addEventListener("click", (e) => this.handleTransactionAction(e));
+      });
+      // عرض/حذف مرفقات المعاملة داخل نموذج التعديل
+      $("#transaction-attachment-list")?.addEventListener("click", async (e) => {
+        const row = e.target.closest("[data-att-id]");
+        if (!row || !this.editingTransactionId) return;
+        const attId = row.getAttribute("data-att-id");
+        if (e.target.classList.contains("view-attachment")) return this.openAttachment(this.editingTransactionId, attId);
+        if (!e.target.classList.contains("delete-attachment") || !confirm("حذف هذا المرفق نهائيًا؟")) return;
+        await this.store.deleteAttachment(this.editingTransactionId, attId);
+        this.renderAttachmentList(this.editingTransactionId);
+        this.refreshAllViews();
+        showToast("تم حذف المرفق 🗑️");
+      });
+
       $("#add-account-btn")?.addEventListener("click", () => this.openModal("account-modal"));
       $("#add-debt-btn")?.addEventListener("click", () => {
         this.injectDebtAccountSelectIfMissing();
         this.renderAccountsSelect();
         this.openModal("debt-modal");
       });
-      $("#add-savings-goal-btn")?.addEventListener("click", () => this.openModal("savings-modal"));
+      [$("#debts-to-me"), $("#debts-from-me")].forEach((list) => {
+        list?.addEventListener("click", (e) => this.handleDebtAction(e));
+      });
+      $("#see-all-debts")?.addEventListener("click", () => this.switchTab("debts"));
+      $("#due-debts")?.addEventListener("click", (e) => {
+        if (e.target.closest(".transaction-item")) this.switchTab("debts");
+      });
+      // الملفات الشخصية
+      $("#active-profile")?.addEventListener("click", () => this.openModal("profiles-modal"));
+      $("#manage-profiles-btn")?.addEventListener("click", () => this.openModal("profiles-modal"));
+      $("#profiles-list")?.addEventListener("click", (e) => this.handleProfileAction(e));
+      $("#profile-own-pin")?.addEventListener("change", (e) => {
+        $("#profile-pin-group").style.display = e.target.checked ? "" : "none";
+      });
+      $("#profile-form")?.addEventListener("submit", async (e) => {
+        e.preventDefault();
+        const ownPin = $("#profile-own-pin").checked;
+        const pin = $("#profile-pin").value;
+        if (ownPin && !PinAuth.PIN_PATTERN.test(pin)) return showToast("الرقم السري يجب أن يكون 6 أرقام", "error");
+        if (ownPin && pin !== $("#profile-pin-confirm").value) return showToast("الرقم وتأكيده غير متطابقين", "error");
+        let profile;
+        try {
+          profile = this.profiles.create($("#profile-name").value, { ownPin });
+          if (ownPin) await new PinAuth(profile.namespace).setPin(pin);
+        } catch (err) {
+          return showToast(err.message || "تعذر إنشاء الملف الشخصي", "error");
+        }
+        $("#profile-form").reset();
+        $("#profile-pin-group").style.display = "none";
+        this.renderProfiles();
+        showToast(`تم إنشاء الملف "${profile.name}" 👤`);
+      });
+
+      // الأمان: تغيير الرقم السري والقفل
+      $("#change-pin-btn")?.addEventListener("click", () => this.openModal("pin-modal"));
+      $("#lock-now-btn")?.addEventListener("click", () => this.auth.lock("index.html"));
+      $("#auto-lock-minutes")?.addEventListener("change", (e) => {
+        this.auth.setAutoLockMinutes(e.target.value);
+        showToast("تم حفظ مدة القفل التلقائي");
+      });
+      // التشفير: التفعيل والإلغاء يتطلبان الرقم السري، ثم تُعاد كتابة كل البيانات
+      $("#encryption-toggle")?.addEventListener("change", (e) => {
+        e.target.checked = this.store.isEncrypted();
+        $("#encryption-hint").textContent = this.store.isEncrypted()
+          ? "سيتم فك تشفير البيانات وحفظها كما هي على هذا الجهاز."
+          : "سيتم تشفير كل البيانات والمرفقات. لا يمكن استعادتها دون الرقم السري — احتفظ بنسخة احتياطية.";
+        this.openModal("encryption-modal");
+      });
+      $("#encryption-form")?.addEventListener("submit", async (e) => {
+        e.preventDefault();
+        const pin = $("#encryption-pin").value;
+        try {
+          if (this.store.isEncrypted()) {
+            const result = await this.auth.verify(pin);
+            if (!result.ok) throw new Error(result.lockedUntil ? "تم إيقاف المحاولات مؤقتًا" : "الرقم السري غير صحيح");
+            await this.applyEncryption(null);
+            this.auth.clearEncryption();
+          } else {
+            const { cipher, wrapped } = await this.auth.prepareEncryption(pin);
+            await this.applyEncryption(cipher);
+            this.auth.saveEncryption(wrapped);
+          }
+        } catch (err) {
+          console.error(err);
+          return showToast(err.message || "تعذر تغيير وضع التشفير", "error");
+        }
+        this.closeModal("encryption-modal");
+        this.updateSettingsView();
+        showToast(this.store.isEncrypted() ? "تم تشفير البيانات 🔐" : "تم إلغاء التشفير");
+      });
+
+      $("#pin-form")?.addEventListener("submit", async (e) => {
+        e.preventDefault();
+        const next = $("#pin-new").value;
+        if (next !== $("#pin-confirm").value) return showToast("الرقم الجديد وتأكيده غير متطابقين", "error");
+        try {
+          await this.auth.changePin($("#pin-current").value, next);
+        } catch (err) {
+          return showToast(err.message || "تعذر تغيير الرقم السري", "error");
+        }
+        this.auth.touch();
+        this.closeModal("pin-modal");
+        showToast("تم تغيير الرقم السري 🔐");
+      });
+
+      $("#debt-reminders-toggle")?.addEventListener("change", async (e) => {
+        let enabled = e.target.checked;
+        if (enabled) {
+          const permission = typeof Notification === "undefined" ? "denied" : await Notification.requestPermission();
+          if (permission !== "granted") {
+            enabled = e.target.checked = false;
+            showToast("لم يُسمح بالإشعارات في المتصفح", "error");
+          }
+        }
+        await this.store.setSetting("debtReminders", enabled);
+        if (enabled) {
+          showToast("تم تفعيل تذكير الديون 🔔");
+          this.checkDebtReminders();
+        }
+      });
+      $("#add-savings-goal-btn")?.addEventListener("click", () => {
+        this.renderSavingsAccountSelect();
+        this.openModal("savings-modal");
+      });
+      $("#savings-goals")?.addEventListener("click", (e) => this.handleSavingsAction(e));
+      $("#add-budget-btn")?.addEventListener("click", () => {
+        this.renderCategoriesSelect();
+        this.openModal("budget-modal");
+      });
+      $("#budget-month")?.addEventListener("change", () => this.updateBudgetsView());
+      $("#budgets-list")?.addEventListener("click", (e) => this.handleBudgetAction(e));
+
+      // التقارير
+      ["#report-scope", "#report-month", "#report-year"].forEach((sel) => {
+        $(sel)?.addEventListener("change", () => this.updateReportsView());
+      });
+      $("#forecast-days")?.addEventListener("change", async (e) => {
+        await this.store.setSetting("forecastDays", parseInt(e.target.value, 10));
+        this.renderForecast();
+      });
+      $("#forecast-threshold")?.addEventListener("change", async (e) => {
+        await this.store.setSetting("lowBalanceThreshold", parseAmount(e.target.value));
+        this.renderForecast();
+        this.updateDashboard();
+      });
+      $("#forecast-account")?.addEventListener("change", () => this.renderForecast());
+      $("#see-forecast")?.addEventListener("click", () => this.switchTab("reports"));
 
       // الإعدادات
-      $("#manage-categories-btn")?.addEventListener("click", () => this.openModal("categories-modal"));
+      $("#manage-categories-btn")?.addEventListener("click", () => {
+        this.renderCategoriesList();
+        this.openModal("categories-modal");
+      });
+      $("#categories-manage-list")?.addEventListener("click", (e) => {
+        const item = e.target.closest("[data-category-id]");
+        if (item && e.target.closest(".edit-category")) this.openCategoryEditor(item.dataset.categoryId);
+      });
       $("#manage-people-btn")?.addEventListener("click", () => this.openModal("people-modal"));
+      $("#manage-currencies-btn")?.addEventListener("click", () => {
+        this.renderCurrencySelects();
+        this.renderRatesList();
+        this.openModal("currencies-modal");
+      });
+      $("#rates-list")?.addEventListener("click", async (e) => {
+        if (!e.target.classList.contains("delete-rate")) return;
+        const id = e.target.closest(".setting-item")?.dataset.id;
+        const ok = await this.store.deleteExchangeRate(id);
+        if (!ok) return showToast("لا يمكن حذف آخر سعر لعملة مستخدمة", "error");
+        this.renderRatesList();
+        this.refreshAllViews();
+        showToast("تم حذف السعر 🗑️");
+      });
+      $("#base-currency")?.addEventListener("change", async (e) => {
+        try {
+          await this.store.setBaseCurrency(e.target.value);
+        } catch (err) {
+          return showToast(err.message, "error");
+        }
+        this.refreshAllViews();
+        showToast("تم تغيير العملة الأساسية 💱");
+      });
+
+      // المعاملات المتكررة
+      $("#manage-recurring-btn")?.addEventListener("click", () => {
+        this.renderAccountsSelect();
+        this.renderCategoriesSelect();
+        this.renderRecurringList();
+        this.openModal("recurring-modal");
+        this.syncRecurringTypeFields();
+      });
+      $("#recurring-list")?.addEventListener("click", (e) => this.handleRecurringAction(e));
+      $("#pending-recurring")?.addEventListener("click", async (e) => {
+        const item = e.target.closest(".transaction-item");
+        if (!item) return;
+        const { recurringId, date } = item.dataset;
+        if (e.target.classList.contains("confirm-occurrence")) {
+          let tx;
+          try {
+            tx = await this.store.confirmPendingOccurrence(recurringId, date);
+          } catch (err) {
+            return showToast(err.message || "تعذر تسجيل المعاملة", "error");
+          }
+          this.refreshAllViews();
+          showToast("تم تسجيل المعاملة ✅");
+          this.notifyBudget(tx);
+        }
+        if (e.target.classList.contains("skip-occurrence")) {
+          await this.store.skipPendingOccurrence(recurringId, date);
+          this.updateDashboard();
+          showToast("تم التخطي ⏭️");
+        }
+      });
+
+      // فحص سلامة الأرصدة وإصلاحها
+      $("#check-integrity-btn")?.addEventListener("click", () => {
+        const drifted = this.renderIntegrityReport();
+        showToast(drifted.length ? `يوجد ${drifted.length} حساب برصيد غير مطابق` : "كل الأرصدة مطابقة للسجل ✅", drifted.length ? "error" : "success");
+      });
+      $("#integrity-report")?.addEventListener("click", async (e) => {
+        if (!e.target.classList.contains("repair-balances")) return;
+        if (!confirm("سيتم إعادة حساب أرصدة الحسابات من السجل. متابعة؟")) return;
+        const fixed = await this.store.recomputeBalances();
+        this.renderIntegrityReport();
+        this.refreshAllViews();
+        showToast(`تم إصلاح ${fixed.length} حساب 🛠️`);
+      });
 
       // تصدير/مسح البيانات
-      $("#export-data-btn")?.addEventListener("click", async () => {
+      $("#export-data-btn")?.addEventListener("click", () => this.openModal("backup-modal"));
+      $("#backup-form")?.addEventListener("submit", async (e) => {
+        e.preventDefault();
+        const password = $("#backup-password").value;
+        if (password !== $("#backup-password-confirm").value) return showToast("كلمتا المرور غير متطابقتين", "error");
         try {
-          const { filename, blob } = await this.store.exportData();
-          const url = URL.createObjectURL(blob);
-          const a = document.createElement("a");
-          a.href = url; a.download = filename;
-          document.body.appendChild(a); a.click();
-          a.remove(); URL.revokeObjectURL(url);
-          showToast("تم تصدير البيانات بنجاح ✅");
+          const { filename, blob } = await this.store.exportData({ password });
+          downloadBlob(filename, blob);
+          this.closeModal("backup-modal");
+          showToast(password ? "تم تصدير نسخة محمية بكلمة مرور 🔐" : "تم تصدير البيانات بنجاح ✅");
         } catch (e) {
           console.error(e);
           showToast("تعذر تصدير البيانات", "error");
         }
       });
 
+      $("#export-transactions-btn")?.addEventListener("click", () => {
+        this.renderExportFilters();
+        this.openModal("export-modal");
+      });
+      $("#import-data-btn")?.addEventListener("click", () => this.openModal("import-modal"));
+      $("#import-statement-btn")?.addEventListener("click", () => {
+        this.renderAccountsSelect();
+        this.renderCategoriesSelect();
+        this.openModal("statement-modal");
+      });
+
       $("#clear-all-data-btn")?.addEventListener("click", async () => {
-        if (!confirm("هل أنت متأكد من مسح جميع البيانات؟ لا يمكن التراجع.")) return;
+        if (!confirm("هل أنت متأكد من مسح جميع البيانات والمرفقات؟ يُمسح سجل التغييرات أيضًا ولا يبقى فيه إلا قيد المسح، ولا يمكن التراجع.")) return;
         await this.store.clearAllData();
         this.refreshAllViews();
         showToast("تم مسح جميع البيانات 🧹");
       });
+
+      // التراجع/الإعادة وسجل التغييرات
+      $("#undo-btn")?.addEventListener("click", () => this.undoRedo("undo"));
+      $("#redo-btn")?.addEventListener("click", () => this.undoRedo("redo"));
+      document.addEventListener("keydown", (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        if (e.target.closest?.("input, textarea, select, [contenteditable]")) return; // تراجع المتصفح داخل الحقول
+        if ($$(".modal").some((m) => m.style.display === "block")) return;
+        const key = e.key.toLowerCase();
+        if (key === "z" && !e.shiftKey) this.undoRedo("undo");
+        else if (key === "y" || (key === "z" && e.shiftKey)) this.undoRedo("redo");
+        else return;
+        e.preventDefault();
+      });
+      $("#history-btn")?.addEventListener("click", () => this.switchTab("history"));
+      $("#history-list")?.addEventListener("click", async (e) => {
+        const btn = e.target.closest(".revert-entry");
+        if (!btn) return;
+        const entry = this.store.getAuditLog().find((x) => x.id === btn.closest("[data-entry-id]").dataset.entryId);
+        if (!entry || !confirm(`عكس العملية "${this.auditLabel(entry)}"؟`)) return;
+        try {
+          await this.store.revertAuditEntry(entry.id);
+          this.afterHistoryChange();
+          showToast("تم عكس العملية ↶");
+        } catch (err) {
+          showToast(err.message || "تعذر عكس العملية", "error");
+        }
+      });
+      $("#clear-history-btn")?.addEventListener("click", async () => {
+        if (!confirm("مسح سجل التغييرات نهائيًا؟ لن يمكن التراجع عن العمليات السابقة بعدها.")) return;
+        await this.store.clearAuditLog();
+        this.refreshAllViews();
+        showToast("تم مسح السجل 🧹");
+      });
+    }
+
+    async undoRedo(action) {
+      try {
+        const entry = await this.store[action]();
+        if (!entry) return;
+        this.afterHistoryChange();
+        showToast(`${action === "undo" ? "تم التراجع عن" : "تمت إعادة"}: ${this.auditLabel(entry)}`);
+      } catch (err) {
+        showToast(err.message || "تعذر تنفيذ العملية", "error");
+      }
+    }
+
+    // التراجع قد يمس أي جدول، فنعيد بناء كل القوائم
+    afterHistoryChange() {
+      this.renderAccountsSelect();
+      this.renderCategoriesSelect();
+      this.renderCurrencySelects();
+      this.renderPeopleList();
+      this.refreshAllViews();
+    }
+
+    auditLabel(entry) {
+      if (entry.op === "revert") return "عكس عملية سابقة";
+      return FinanceStorage.AUDITED[entry.op] || entry.op;
     }
 
     // ---------- Forms ----------
     setupForms() {
       // معاملات
+      $("#transaction-type")?.addEventListener("change", () => this.syncTransactionTypeFields());
+      // تقسيم المعاملة على عدة فئات
+      $("#transaction-is-split")?.addEventListener("change", () => this.syncTransactionTypeFields());
+      $("#add-split-line")?.addEventListener("click", () => this.addSplitLine());
+      $("#transaction-splits")?.addEventListener("click", (e) => {
+        if (!e.target.classList.contains("remove-split")) return;
+        e.target.closest(".split-line")?.remove();
+        this.renderSplitRemaining();
+      });
+      $("#transaction-splits")?.addEventListener("input", () => this.renderSplitRemaining());
+      $("#transaction-amount")?.addEventListener("input", () => this.renderSplitRemaining());
+      // عملة المبلغ تتبع الحساب المختار افتراضيًا
+      $("#transaction-account")?.addEventListener("change", (e) => {
+        const acc = this.store.getAccounts().find(a => a.name === e.target.value);
+        if (acc && $("#transaction-currency")) $("#transaction-currency").value = acc.currency || "SAR";
+      });
       $("#transaction-form")?.addEventListener("submit", async (e) => {
         e.preventDefault();
         const data = {
           type: $("#transaction-type").value,
           amount: parseAmount($("#transaction-amount").value),
+          currency: $("#transaction-currency")?.value || null,
           description: $("#transaction-description").value?.trim(),
           category: $("#transaction-category").value,
           account: $("#transaction-account").value,
+          toAccount: $("#transaction-to-account").value,
           date: $("#transaction-date").value,
           notes: $("#transaction-notes").value?.trim(),
+          splits: this.readSplitLines(),
+          tags: $("#transaction-tags")?.value || "",
           createdAt: new Date().toISOString(),
         };
-        if (!data.type || !data.amount || !data.category || !data.account || !data.date) {
+        const files = [...($("#transaction-attachments")?.files || [])];
+        const isTransfer = data.type === "transfer";
+        if (!data.type || !data.amount || !data.account || !data.date ||
+            (isTransfer ? !data.toAccount : !(data.splits || data.category))) {
           return showToast("الرجاء إكمال الحقول المطلوبة", "error");
         }
-        await this.store.addTransaction(data);
+        let tx, previous = null;
+        try {
+          if (this.editingTransactionId) {
+            // نسخة المعاملة قبل التعديل لحساب تنبيهات الميزانية بدقة
+            const old = this.store.getTransactions().find(t => t.id === this.editingTransactionId);
+            previous = old ? { ...old } : null;
+            tx = await this.store.updateTransaction(this.editingTransactionId, data);
+          } else {
+            tx = await this.store.addTransaction(data);
+          }
+        } catch (err) {
+          return showToast(err.message || "تعذر حفظ المعاملة", "error");
+        }
         this.closeModal("transaction-modal");
+        // المرفقات تُرفع بعد حفظ المعاملة — فشل ملف لا يلغي المعاملة
+        const failed = [];
+        for (const file of files) {
+          try {
+            await this.store.addAttachment(tx.id, file);
+          } catch (err) {
+            failed.push(`${file.name}: ${err.message}`);
+          }
+        }
         this.refreshAllViews();
         showToast("تم حفظ المعاملة 💾");
+        if (failed.length) showToast(`تعذر إرفاق ${failed.join("، ")}`, "error");
+        this.notifyBudget(tx, previous);
       });
 
       // حسابات
@@ -252,12 +973,17 @@
         const data = {
           name: $("#account-name").value?.trim(),
           type: $("#account-type").value,
+          currency: $("#account-currency")?.value || "SAR",
           initialBalance: parseAmount($("#account-initial-balance").value),
           balance: parseAmount($("#account-initial-balance").value),
           createdAt: new Date().toISOString(),
         };
         if (!data.name || !data.type) return showToast("أكمل بيانات الحساب", "error");
-        await this.store.addAccount(data);
+        try {
+          await this.store.addAccount(data);
+        } catch (err) {
+          return showToast(err.message || "تعذر إضافة الحساب", "error");
+        }
         this.closeModal("account-modal");
         this.updateAccountsView();
         this.updateDashboard();
@@ -268,7 +994,11 @@
       // حقن خانة حساب للدَّين إن لزم
       this.injectDebtAccountSelectIfMissing();
 
-      // ديون
+      // ديون — خطة الأقساط تُظهر حقولها ومعاينة الجدول
+      $("#debt-is-plan")?.addEventListener("change", () => this.syncDebtPlanFields());
+      ["#debt-amount", "#debt-installments", "#debt-frequency", "#debt-rate", "#debt-fee", "#debt-due-date", "#debt-date"].forEach((s) => {
+        $(s)?.addEventListener("input", () => this.renderDebtPlanPreview());
+      });
       $("#debt-form")?.addEventListener("submit", async (e) => {
         e.preventDefault();
         const data = {
@@ -277,16 +1007,22 @@
           amount: parseAmount($("#debt-amount").value),
           description: $("#debt-description").value?.trim(),
           date: $("#debt-date").value,
-          dueDate: $("#debt-date").value,
+          dueDate: $("#debt-due-date")?.value || "",
           status: "pending",
           notes: "",
           account: $("#debt-account")?.value || "",
-          affectBalance: true
+          affectBalance: true,
+          installments: this.readDebtPlanFields(),
         };
         if (!data.type || !data.personId || !data.amount || !data.date) {
           return showToast("أكمل بيانات الدين", "error");
         }
-        await this.store.addDebt(data);
+        if (data.dueDate && data.dueDate < data.date) return showToast("تاريخ الاستحقاق قبل تاريخ الدين", "error");
+        try {
+          await this.store.addDebt(data);
+        } catch (err) {
+          return showToast(err.message || "تعذر حفظ الدين", "error");
+        }
         this.closeModal("debt-modal");
         this.updateDebtsView();
         this.updateDashboard();
@@ -301,31 +1037,259 @@
           targetAmount: parseAmount($("#savings-target-amount").value),
           currentAmount: parseAmount($("#savings-current-amount").value),
           targetDate: $("#savings-target-date").value || "",
+          account: $("#savings-account")?.value || "",
           description: "",
           createdAt: new Date().toISOString(),
         };
         if (!data.name || !data.targetAmount) {
           return showToast("أدخل اسم الهدف والمبلغ المستهدف", "error");
         }
-        await this.store.addSavingsGoal(data);
+        try {
+          await this.store.addSavingsGoal(data);
+        } catch (err) {
+          return showToast(err.message, "error");
+        }
         this.closeModal("savings-modal");
         this.updateSavingsView();
         this.updateDashboard();
         showToast("تم إضافة هدف الادخار 🎯");
       });
 
+      // قالب متكرر (إضافة/تعديل)
+      $("#recurring-type")?.addEventListener("change", () => this.syncRecurringTypeFields());
+      $("#recurring-form")?.addEventListener("submit", async (e) => {
+        e.preventDefault();
+        const data = {
+          type: $("#recurring-type").value,
+          amount: parseAmount($("#recurring-amount").value),
+          description: $("#recurring-description").value?.trim(),
+          category: $("#recurring-category").value,
+          account: $("#recurring-account").value,
+          toAccount: $("#recurring-to-account").value,
+          frequency: $("#recurring-frequency").value,
+          interval: $("#recurring-interval").value,
+          endDate: $("#recurring-end").value,
+          maxOccurrences: $("#recurring-count").value || null,
+          autoPost: $("#recurring-auto").checked,
+        };
+        const isTransfer = data.type === "transfer";
+        if (!data.amount || !data.description || !data.account || (isTransfer ? !data.toAccount : !data.category)) {
+          return showToast("الرجاء إكمال الحقول المطلوبة", "error");
+        }
+        try {
+          if (this.editingRecurringId) {
+            await this.store.updateRecurring(this.editingRecurringId, { ...data, nextDate: $("#recurring-start").value });
+          } else {
+            await this.store.addRecurring({ ...data, startDate: $("#recurring-start").value });
+          }
+        } catch (err) {
+          return showToast(err.message || "تعذر حفظ القالب", "error");
+        }
+        $("#recurring-form").reset();
+        this.editingRecurringId = null;
+        $("#recurring-start-label").textContent = "تاريخ البدء";
+        this.ensureDefaultDates();
+        this.syncRecurringTypeFields();
+        this.renderRecurringList();
+        await this.runRecurring();
+        this.updateDashboard();
+        showToast("تم حفظ المعاملة المتكررة 🔁");
+      });
+
+      // تصدير المعاملات المصفّاة
+      $("#export-form")?.addEventListener("submit", async (e) => {
+        e.preventDefault();
+        const filters = {
+          account: $("#export-account").value,
+          category: $("#export-category").value,
+          type: $("#export-type").value,
+          from: $("#export-from").value,
+          to: $("#export-to").value,
+        };
+        if (filters.from && filters.to && filters.from > filters.to) {
+          return showToast("تاريخ البداية بعد تاريخ النهاية", "error");
+        }
+        try {
+          const { filename, blob, count } = await this.store.exportTransactions($("#export-format").value, filters);
+          if (!count) return showToast("لا توجد معاملات مطابقة للتصفية", "error");
+          downloadBlob(filename, blob);
+          this.closeModal("export-modal");
+          showToast(`تم تصدير ${NUM_FMT.format(count)} معاملة ✅`);
+        } catch (err) {
+          console.error(err);
+          showToast("تعذر تصدير المعاملات", "error");
+        }
+      });
+
+      // استيراد نسخة احتياطية: قراءة الملف → معاينة → تأكيد
+      $("#import-file")?.addEventListener("change", async (e) => {
+        const file = e.target.files?.[0];
+        this.pendingImport = null;
+        if (!file) return this.renderImportSummary();
+        try {
+          this.pendingImport = JSON.parse(await file.text());
+        } catch {
+          showToast("الملف ليس JSON صالحًا", "error");
+        }
+        this.renderImportSummary();
+      });
+      // نسخة محمية: فكها بكلمة المرور قبل المعاينة
+      $("#import-unlock-btn")?.addEventListener("click", async () => {
+        try {
+          this.pendingImport = await this.store.unlockBackup(this.pendingImport, $("#import-password").value);
+        } catch (err) {
+          return showToast(err.message, "error");
+        }
+        $("#import-password").value = "";
+        this.renderImportSummary();
+      });
+      $("#import-mode")?.addEventListener("change", () => this.renderImportSummary());
+
+      $("#import-form")?.addEventListener("submit", async (e) => {
+        e.preventDefault();
+        if (!this.pendingImport) return showToast("اختر ملف النسخة الاحتياطية أولًا", "error");
+        const mode = $("#import-mode").value;
+        if (mode === "replace" && !confirm("سيتم حذف كل البيانات الحالية واستبدالها بمحتوى الملف. متابعة؟")) return;
+        let summary;
+        try {
+          summary = await this.store.importData(this.pendingImport, { mode });
+        } catch (err) {
+          console.error(err);
+          return showToast(err.message || "تعذر الاستيراد", "error");
+        }
+        this.closeModal("import-modal");
+        this.refreshAllViews();
+        showToast("تم استيراد البيانات بنجاح 📥");
+        if (summary.skippedAttachments) showToast(`تم تجاهل ${NUM_FMT.format(summary.skippedAttachments)} مرفق غير صالح (نوع غير مسموح أو حجم يتجاوز 10 ميغابايت)`, "warning");
+      });
+
+      // استيراد كشف CSV: قراءة → ربط الأعمدة → معاينة → إضافة المحدد
+      $("#statement-file")?.addEventListener("change", async (e) => {
+        const file = e.target.files?.[0];
+        this.statementRows = file ? this.store.parseCSV(await file.text()) : [];
+        this.renderStatementColumns();
+        this.renderStatementPreview();
+      });
+      $("#statement-form")?.addEventListener("change", (e) => {
+        if (e.target.id === "statement-file" || e.target.classList.contains("statement-row")) return;
+        if (e.target.id === "statement-has-header") this.renderStatementColumns();
+        this.renderStatementPreview();
+      });
+
+      $("#statement-form")?.addEventListener("submit", async (e) => {
+        e.preventDefault();
+        const picked = $$(".statement-row:checked").map((cb) => this.statementCandidates[+cb.dataset.index]);
+        if (!picked.length) return showToast("لم يتم تحديد أي صف للاستيراد", "error");
+        const opts = {
+          account: $("#statement-account").value,
+          expenseCategory: $("#statement-expense-category").value,
+          incomeCategory: $("#statement-income-category").value,
+        };
+        if (!opts.account || !opts.expenseCategory || !opts.incomeCategory) {
+          return showToast("اختر الحساب والفئات", "error");
+        }
+        const added = await this.store.importStatementRows(picked, opts);
+        this.closeModal("statement-modal");
+        this.refreshAllViews();
+        showToast(`تم استيراد ${NUM_FMT.format(added.length)} معاملة 🏦`);
+      });
+
       // فئات
       $("#add-category-btn")?.addEventListener("click", async () => {
         const name = $("#new-category-name").value?.trim();
         const type = $("#new-category-type").value;
         if (!name) return showToast("أدخل اسم الفئة", "error");
-        await this.store.addCategory({ name, type, icon: "🏷️", color: "#ccc" });
+        const icon = $("#new-category-icon").value.trim() || "🏷️";
+        await this.store.addCategory({ name, type, icon, color: $("#new-category-color").value });
         $("#new-category-name").value = "";
+        $("#new-category-icon").value = "";
         this.renderCategoriesList();
         this.renderCategoriesSelect();
         showToast("تمت إضافة الفئة 📋");
       });
 
+      // تعديل فئة / حذفها مع نقل معاملاتها / دمجها — "لون تلقائي" يعيدها بلا لون (لون اللوحة)
+      $("#category-edit-color")?.addEventListener("input", () => { $("#category-edit-no-color").checked = false; });
+      $("#category-form")?.addEventListener("submit", async (e) => {
+        e.preventDefault();
+        try {
+          await this.store.updateCategory(this.editingCategoryId, {
+            name: $("#category-edit-name").value,
+            icon: $("#category-edit-icon").value,
+            color: $("#category-edit-no-color").checked ? "" : $("#category-edit-color").value,
+          });
+          this.closeModal("category-modal");
+          this.afterCategoryChange("تم حفظ الفئة ✅");
+        } catch (err) {
+          showToast(err.message || "تعذر حفظ الفئة", "error");
+        }
+      });
+      $("#category-merge-btn")?.addEventListener("click", async () => {
+        const source = this.store.getCategories().find((c) => c.id === this.editingCategoryId);
+        const target = this.store.getCategories().find((c) => c.id === $("#category-target").value);
+        if (!source || !target) return showToast("اختر الفئة التي تُدمج فيها", "error");
+        if (!confirm(`دمج "${source.name}" في "${target.name}"؟ تُنقل كل معاملاتها ثم تُحذف.`)) return;
+        try {
+          const moved = await this.store.mergeCategories(source.id, target.id);
+          this.closeModal("category-modal");
+          this.afterCategoryChange(`تم الدمج ونقل ${NUM_FMT.format(moved)} معاملة 🔀`);
+        } catch (err) {
+          showToast(err.message || "تعذر دمج الفئتين", "error");
+        }
+      });
+      $("#category-delete-btn")?.addEventListener("click", async () => {
+        const source = this.store.getCategories().find((c) => c.id === this.editingCategoryId);
+        if (!source) return;
+        const used = this.store.getCategoryUsage(source.id).total;
+        const target = this.store.getCategories().find((c) => c.id === $("#category-target").value);
+        if (used && !target) return showToast("الفئة مستخدمة — اختر فئة تُنقل إليها معاملاتها", "error");
+        if (!confirm(used ? `حذف "${source.name}" ونقل ما يشير إليها إلى "${target.name}"؟` : `حذف "${source.name}"؟`)) return;
+        try {
+          await this.store.deleteCategory(source.id, { reassignTo: used ? target.id : "" });
+          this.closeModal("category-modal");
+          this.afterCategoryChange("تم حذف الفئة 🗑️");
+        } catch (err) {
+          showToast(err.message || "تعذر حذف الفئة", "error");
+        }
+      });
+
+      // أسعار الصرف
+      $("#rate-form")?.addEventListener("submit", async (e) => {
+        e.preventDefault();
+        try {
+          await this.store.setExchangeRate({
+            currency: $("#rate-currency").value,
+            rate: parseAmount($("#rate-value").value),
+            date: $("#rate-date").value,
+          });
+        } catch (err) {
+          return showToast(err.message, "error");
+        }
+        e.target.reset();
+        this.ensureDefaultDates();
+        this.renderCurrencySelects();
+        this.renderRatesList();
+        this.refreshAllViews();
+        showToast("تم حفظ سعر الصرف 💱");
+      });
+
+      // ميزانيات
+      $("#budget-form")?.addEventListener("submit", async (e) => {
+        e.preventDefault();
+        const month = $("#budget-month")?.value || new Date().toISOString().slice(0, 7);
+        const data = {
+          category: $("#budget-category").value,
+          amount: parseAmount($("#budget-amount").value),
+          month: $("#budget-this-month-only").checked ? month : "",
+          rollover: $("#budget-rollover").checked,
+        };
+        if (!data.category || !data.amount) return showToast("اختر الفئة وأدخل الحد", "error");
+        await this.store.setBudget(data);
+        this.closeModal("budget-modal");
+        this.updateBudgetsView();
+        showToast("تم حفظ الميزانية 📊");
+      });
+
       // أشخاص
       $("#add-person-btn")?.addEventListener("click", async () => {
         const name = $("#new-person-name").value?.trim();
@@ -355,37 +1319,408 @@
       }
     }
 
-    // ---------- Views ----------
-    refreshAllViews() {
-      this.updateDashboard();
-      if ($("#transactions")?.classList.contains("active")) this.updateTransactionsView();
-      if ($("#accounts")?.classList.contains("active")) this.updateAccountsView();
-      if ($("#debts")?.classList.contains("active")) this.updateDebtsView();
-      if ($("#savings")?.classList.contains("active")) this.updateSavingsView();
-      if ($("#settings")?.classList.contains("active")) this.updateSettingsView();
-    }
+    // أزرار تعديل/حذف داخل عنصر المعاملة
+    async handleTransactionAction(e) {
+      const item = e.target.closest(".transaction-item");
+      if (!item) return;
+      const id = item.getAttribute("data-id");
 
-    // لوحة التحكم
-    updateDashboard() {
-      const balance = this.store.calculateTotalBalance();
-      const inc = this.store.calculateMonthlyIncome(new Date());
-      const exp = this.store.calculateMonthlyExpenses(new Date());
+      if (e.target.classList.contains("edit-transaction")) {
+        this.openTransactionEditor(id);
+      }
 
-      $("#total-balance").textContent = formatCurrency(balance);
-      $("#total-income").textContent  = formatCurrency(inc);
-      $("#total-expenses").textContent = formatCurrency(exp);
+      if (e.target.classList.contains("view-attachment")) {
+        this.openAttachment(id, e.target.getAttribute("data-att-id"));
+      }
 
-      // أحدث معاملات
-      const recent = this.store.getTransactions().slice(-3).reverse();
-      const list = $("#recent-transactions");
-      if (list) list.innerHTML = recent.map(t => this.transactionItemHTML(t)).join("") || this.emptyHint("لا توجد معاملات بعد");
+      // الضغط على وسم يعرض كل معاملاته
+      if (e.target.classList.contains("tag-chip")) {
+        this.renderTransactionFilters();
+        $$("#tx-filters input, #tx-filters select").forEach((el) => { el.value = ""; });
+        $("#tx-search").value = "";
+        $("#tx-filter-tag").value = e.target.getAttribute("data-tag");
+        $("#tx-filters").open = true;
+        this.setActivePeriod("all");
+        this.switchTab("transactions");
+      }
+
+      if (e.target.classList.contains("delete-transaction")) {
+        if (!confirm("حذف هذه المعاملة؟ سيتم عكس أثرها على رصيد الحساب.")) return;
+        const ok = await this.store.deleteTransaction(id);
+        if (!ok) return showToast("تعذر حذف المعاملة", "error");
+        this.refreshAllViews();
+        showToast("تم حذف المعاملة 🗑️");
+      }
     }
 
-    // المعاملات + الفلاتر
-    updateTransactionsView() {
-      const tx = this.store.getTransactionsByPeriod(this.activePeriod);
-      const list = $("#all-transactions");
-      if (list) list.innerHTML = tx.map(t => this.transactionItemHTML(t, true)).join("") || this.emptyHint("لا توجد معاملات في هذه الفترة");
+    // أزرار قائمة الملفات الشخصية: تبديل / إعادة تسمية / حذف
+    async handleProfileAction(e) {
+      const item = e.target.closest("[data-profile-id]");
+      if (!item) return;
+      const profile = this.profiles.get(item.getAttribute("data-profile-id"));
+      if (!profile) return;
+
+      if (e.target.classList.contains("switch-profile")) this.switchProfile(profile.id);
+
+      if (e.target.classList.contains("rename-profile")) {
+        const name = prompt("اسم الملف الشخصي:", profile.name);
+        if (name == null) return;
+        try {
+          this.profiles.rename(profile.id, name);
+        } catch (err) {
+          return showToast(err.message, "error");
+        }
+        if (profile.id === this.profile.id) {
+          this.profile = this.profiles.active();
+          this.store.profile = { id: this.profile.id, name: this.profile.name };
+        }
+        this.renderProfiles();
+        showToast("تم تعديل الاسم ✏️");
+      }
+
+      if (e.target.classList.contains("delete-profile")) {
+        if (!confirm(`حذف الملف "${profile.name}" وكل بياناته ومرفقاته نهائيًا من هذا الجهاز؟`)) return;
+        try {
+          this.profiles.remove(profile.id);
+        } catch (err) {
+          return showToast(err.message, "error");
+        }
+        await FinanceStorage.destroy(profile.namespace);
+        this.renderProfiles();
+        showToast("تم حذف الملف الشخصي 🗑️");
+      }
+    }
+
+    // الملف الذي يشارك الرقم نفسه يُفتح مباشرة؛ وإلا تطلب صفحة الدخول رقمه
+    switchProfile(id) {
+      if (id === this.profile.id) return;
+      const target = this.profiles.get(id);
+      this.profiles.setActive(id);
+      if (this.profiles.authNamespace(target) === this.auth.ns && !this.auth.isEncrypted()) {
+        location.reload();
+      } else {
+        this.auth.endSession();
+        location.replace("index.html");
+      }
+    }
+
+    // اسم الملف النشط في الهيدر + قائمة الإدارة
+    renderProfiles() {
+      const header = $("#active-profile");
+      if (header) header.textContent = `👤 ${this.profile.name}`;
+      const list = $("#profiles-list");
+      if (!list) return;
+      list.innerHTML = this.profiles.list().map((p) => {
+        const active = p.id === this.profile.id;
+        return `
+          <div class="setting-item" data-profile-id="${p.id}">
+            <div class="setting-icon">${active ? "✅" : "👤"}</div>
+            <div class="setting-info">
+              <div class="setting-title">${escapeHtml(p.name)}</div>
+              <div class="setting-description">${active ? "الملف الحالي" : "—"} • ${p.ownPin ? "رقم سري مستقل 🔑" : "الرقم السري الرئيسي"}</div>
+              <div style="margin-top:8px; display:flex; gap:8px; flex-wrap:wrap;">
+                ${active ? "" : `<button class="switch-profile">تبديل</button>`}
+                <button class="rename-profile">إعادة تسمية</button>
+                ${active || p.id === ProfileRegistry.DEFAULT_ID ? "" : `<button class="delete-profile">حذف</button>`}
+              </div>
+            </div>
+          </div>
+        `;
+      }).join("");
+    }
+
+    // فتح نموذج المعاملة معبّأً ببيانات معاملة موجودة
+    openTransactionEditor(txId) {
+      const t = this.store.getTransactions().find(x => x.id === txId);
+      if (!t) return;
+
+      this.renderAccountsSelect();
+      this.renderCategoriesSelect();
+      this.openModal("transaction-modal");
+      this.editingTransactionId = t.id;
+      $("#transaction-modal .modal-title").textContent = "تعديل معاملة";
+
+      $("#transaction-type").value = t.type;
+      $("#transaction-amount").value = t.amount;
+      $("#transaction-description").value = t.description || "";
+      $("#transaction-category").value = t.categoryId || "";
+      $("#transaction-account").value = this.accountName(t.accountId, t.accountName);
+      $("#transaction-to-account").value = this.accountName(t.toAccountId, t.toAccountName);
+      if ($("#transaction-currency")) $("#transaction-currency").value = t.currency || "SAR";
+      $("#transaction-date").value = t.date;
+      $("#transaction-notes").value = t.notes || "";
+      $("#transaction-tags").value = (t.tags || []).join("، ");
+      this.renderAttachmentList(t.id);
+      $("#transaction-is-split").checked = !!t.splits?.length;
+      $("#transaction-splits").innerHTML = "";
+      (t.splits || []).forEach((s) => this.addSplitLine(s));
+      this.syncTransactionTypeFields();
+    }
+
+    // مرفقات المعاملة الحالية في نموذج التعديل
+    renderAttachmentList(txId) {
+      const wrap = $("#transaction-attachment-list");
+      const t = this.store.getTransactions().find(x => x.id === txId);
+      if (!wrap) return;
+      wrap.innerHTML = (t?.attachments || []).map(a => `
+        <div data-att-id="${a.id}" style="display:flex; gap:6px; align-items:center; margin-bottom:6px; font-size:13px;">
+          <span style="flex:1;">${a.type === "application/pdf" ? "📄" : "🖼️"} ${escapeHtml(a.name)} (${NUM_FMT.format(Math.ceil(a.size / 1024))} ك.ب)</span>
+          <button type="button" class="view-attachment">عرض</button>
+          <button type="button" class="delete-attachment">حذف</button>
+        </div>
+      `).join("");
+    }
+
+    // عرض مرفق: صورة مباشرة، وPDF داخل iframe
+    async openAttachment(txId, attId) {
+      const t = this.store.getTransactions().find(x => x.id === txId);
+      const meta = t?.attachments?.find(a => a.id === attId);
+      const blob = meta && await this.store.getAttachment(attId);
+      if (!blob) return showToast("المرفق غير موجود على هذا الجهاز", "error");
+
+      if (this.attachmentURL) URL.revokeObjectURL(this.attachmentURL);
+      this.attachmentURL = URL.createObjectURL(blob);
+      $("#attachment-modal .modal-title").textContent = meta.name;
+      $("#attachment-viewer").innerHTML = meta.type === "application/pdf"
+        ? `<iframe src="${this.attachmentURL}" sandbox title="${escapeHtml(meta.name)}" style="width:100%; height:70vh; border:0;"></iframe>`
+        : `<img src="${this.attachmentURL}" alt="${escapeHtml(meta.name)}" style="max-width:100%; max-height:70vh;" />`;
+      $("#attachment-download").href = this.attachmentURL;
+      $("#attachment-download").download = meta.name;
+      this.openModal("attachment-modal");
+    }
+
+    // التحويل: نخفي الفئة ونُظهر حساب الوجهة — التقسيم: سطور الفئات بدل الفئة الواحدة
+    syncTransactionTypeFields() {
+      const isTransfer = $("#transaction-type")?.value === "transfer";
+      const isSplit = !isTransfer && !!$("#transaction-is-split")?.checked;
+      const catGroup = $("#transaction-category-group");
+      const toGroup  = $("#transaction-to-account-group");
+      if (catGroup) catGroup.style.display = isTransfer || isSplit ? "none" : "";
+      if (toGroup)  toGroup.style.display  = isTransfer ? "" : "none";
+      $("#transaction-split-toggle").style.display = isTransfer ? "none" : "";
+      $("#transaction-splits-group").style.display = isSplit ? "" : "none";
+      $("#transaction-category")?.toggleAttribute("required", !isTransfer && !isSplit);
+      $("#transaction-to-account")?.toggleAttribute("required", isTransfer);
+      if (isSplit && !$$("#transaction-splits .split-line").length) {
+        this.addSplitLine();
+        this.addSplitLine();
+      }
+      this.renderSplitRemaining();
+    }
+
+    addSplitLine({ categoryId = "", amount = "", note = "" } = {}) {
+      const wrap = $("#transaction-splits");
+      if (!wrap) return;
+      wrap.insertAdjacentHTML("beforeend", `
+        <div class="split-line" style="display:flex; gap:6px; margin-bottom:6px;">
+          <select class="split-category" style="flex:2;">
+            <option value="">الفئة</option>
+            ${this.categoryOptions()}
+          </select>
+          <input class="split-amount" type="number" step="0.01" min="0" placeholder="المبلغ" style="flex:1;" />
+          <input class="split-note" placeholder="ملاحظة" style="flex:2;" />
+          <button type="button" class="remove-split" aria-label="حذف السطر">×</button>
+        </div>
+      `);
+      const line = wrap.lastElementChild;
+      $(".split-category", line).value = categoryId || "";
+      $(".split-amount", line).value = amount;
+      $(".split-note", line).value = note;
+      this.renderSplitRemaining();
+    }
+
+    // سطور التقسيم من النموذج (null إن لم يُفعَّل التقسيم)
+    readSplitLines() {
+      if ($("#transaction-type")?.value === "transfer" || !$("#transaction-is-split")?.checked) return null;
+      return $$("#transaction-splits .split-line").map((line) => ({
+        category: $(".split-category", line).value,
+        amount: parseAmount($(".split-amount", line).value),
+        note: $(".split-note", line).value.trim(),
+      }));
+    }
+
+    // الفرق بين المبلغ ومجموع السطور
+    renderSplitRemaining() {
+      const el = $("#transaction-splits-remaining");
+      const lines = this.readSplitLines();
+      if (!el || !lines) return;
+      const currency = $("#transaction-currency")?.value || "SAR";
+      const left = Math.round((parseAmount($("#transaction-amount").value) - lines.reduce((s, l) => s + l.amount, 0)) * 100) / 100;
+      el.textContent = left === 0 ? "✔ مجموع السطور يساوي المبلغ"
+        : (left > 0 ? `المتبقي للتوزيع: ${formatCurrency(left, currency)}` : `السطور تزيد على المبلغ بـ ${formatCurrency(-left, currency)}`);
+      el.style.color = left === 0 ? "" : "#f97316";
+    }
+
+    // ---------- Views ----------
+    refreshAllViews() {
+      this.updateDashboard();
+      if ($("#transactions")?.classList.contains("active")) this.updateTransactionsView();
+      if ($("#accounts")?.classList.contains("active")) this.updateAccountsView();
+      if ($("#debts")?.classList.contains("active")) this.updateDebtsView();
+      if ($("#savings")?.classList.contains("active")) this.updateSavingsView();
+      if ($("#budgets")?.classList.contains("active")) this.updateBudgetsView();
+      if ($("#reports")?.classList.contains("active")) this.updateReportsView();
+      if ($("#settings")?.classList.contains("active")) this.updateSettingsView();
+      if ($("#history")?.classList.contains("active")) this.updateHistoryView();
+      this.updateUndoButtons();
+    }
+
+    updateUndoButtons() {
+      const undo = this.store.nextUndo();
+      const redo = this.store.nextRedo();
+      const undoBtn = $("#undo-btn");
+      const redoBtn = $("#redo-btn");
+      if (undoBtn) {
+        undoBtn.disabled = !undo;
+        undoBtn.title = undo ? `تراجع عن: ${this.auditLabel(undo)} (Ctrl+Z)` : "لا شيء للتراجع عنه";
+      }
+      if (redoBtn) {
+        redoBtn.disabled = !redo;
+        redoBtn.title = redo ? `إعادة: ${this.auditLabel(redo)} (Ctrl+Y)` : "لا شيء لإعادته";
+      }
+    }
+
+    // سجل التغييرات: الأحدث أولًا مع السجلات المتأثرة والحقول المعدّلة
+    updateHistoryView() {
+      const list = $("#history-list");
+      if (!list) return;
+      const log = this.store.getAuditLog();
+      const byId = new Map(log.map((e) => [e.id, e]));
+      const tables = {
+        accounts: "حساب", transactions: "معاملة", debts: "دين", savings: "هدف ادخار", categories: "فئة",
+        people: "شخص", ledger: "حركة حساب", recurring: "معاملة متكررة", budgets: "ميزانية", rates: "سعر صرف", meta: "الإعدادات",
+      };
+      const people = new Map(this.store.getPeople().map((p) => [p.id, p.name]));
+      const describe = (c) => {
+        if (c.field) return `⚙️ ${tables.meta}: ${escapeHtml(c.field)}`;
+        const rec = c.after || c.before || {};
+        const label = rec.name || rec.description || people.get(rec.personId) || rec.category || rec.currency || c.id;
+        const name = c.id == null ? "" : ` "${escapeHtml(label)}"`;
+        if (!c.before) return `➕ ${tables[c.key] || c.key}${name}`;
+        if (!c.after) return `🗑️ ${tables[c.key] || c.key}${name}`;
+        const fields = c.id == null ? [] : Object.keys({ ...c.before, ...c.after })
+          .filter((k) => k !== "updatedAt" && JSON.stringify(c.before[k]) !== JSON.stringify(c.after[k]));
+        return `✏️ ${tables[c.key] || c.key}${name}${fields.length ? ` (${escapeHtml(fields.join("، "))})` : ""}`;
+      };
+
+      if (!log.length) {
+        list.innerHTML = `<div class="setting-item"><div class="setting-info"><div class="setting-description">لا توجد تغييرات مسجلة بعد</div></div></div>`;
+        return;
+      }
+      list.innerHTML = [...log].reverse().map((e) => {
+        const shown = e.changes.slice(0, 5).map(describe);
+        if (e.changes.length > shown.length) shown.push(`و${NUM_FMT.format(e.changes.length - shown.length)} تغييرات أخرى`);
+        if (e.irreversible) shown.push(`${NUM_FMT.format(e.count)} تغيير — لم تُحفظ نسخه في السجل`);
+        const status = e.irreversible ? "لا يمكن عكسها"
+          : e.undone ? "↶ تم التراجع عنها"
+          : e.revertedBy ? "↶ تم عكسها"
+          : e.revertOf ? `عكس: ${byId.has(e.revertOf) ? this.auditLabel(byId.get(e.revertOf)) : "عملية محذوفة من السجل"}`
+          : "";
+        const canRevert = !e.undone && !e.revertedBy && !e.irreversible;
+        return `
+          <div class="setting-item" data-entry-id="${e.id}" style="${e.undone ? "opacity:0.6" : ""}">
+            <div class="setting-info">
+              <div class="setting-title">${this.auditLabel(e)}</div>
+              <div class="setting-description">${new Date(e.at).toLocaleString("ar-SA-u-ca-gregory")}${status ? ` • ${status}` : ""}</div>
+              <div class="setting-description" style="margin-top:4px">${shown.join("<br>")}</div>
+              ${canRevert ? `<div style="margin-top:8px"><button class="revert-entry">عكس</button></div>` : ""}
+            </div>
+          </div>
+        `;
+      }).join("");
+    }
+
+    // لوحة التحكم
+    updateDashboard() {
+      const base = this.store.getBaseCurrency();
+      const balance = this.store.calculateTotalBalance();
+      const inc = this.store.calculateMonthlyIncome(new Date());
+      const exp = this.store.calculateMonthlyExpenses(new Date());
+
+      $("#total-balance").textContent = formatCurrency(balance, base);
+      $("#total-income").textContent  = formatCurrency(inc, base);
+      $("#total-expenses").textContent = formatCurrency(exp, base);
+      const missing = this.store.getMissingRates();
+      const ratesHint = $("#missing-rates-hint");
+      if (ratesHint) {
+        ratesHint.textContent = missing.length ? `⚠️ لا يوجد سعر صرف لـ ${missing.join("، ")} — استُبعدت من الإجماليات` : "";
+        ratesHint.style.display = missing.length ? "" : "none";
+      }
+
+      // تكرارات بانتظار التأكيد
+      const pending = this.store.getPendingOccurrences();
+      const pendingWrap = $("#pending-recurring-section");
+      if (pendingWrap) pendingWrap.style.display = pending.length ? "" : "none";
+      const pendingList = $("#pending-recurring");
+      if (pendingList) {
+        pendingList.innerHTML = pending.map(({ recurringId, date, template: r }) => `
+          <div class="transaction-item" data-recurring-id="${recurringId}" data-date="${date}">
+            <div class="transaction-icon ${r.type}">🔁</div>
+            <div class="transaction-details">
+              <div class="transaction-title">${r.description}</div>
+              <div class="transaction-category">${formatDate(date)}</div>
+            </div>
+            <div class="transaction-amount ${r.type}">${formatCurrency(r.amount, this.accountCurrency(r.accountId))}</div>
+            <div class="transaction-actions" style="display:flex; flex-direction:column; gap:6px;">
+              <button class="confirm-occurrence">تأكيد</button>
+              <button class="skip-occurrence">تخطي</button>
+            </div>
+          </div>
+        `).join("");
+      }
+
+      // ديون متأخرة أو مستحقة خلال أسبوع
+      const due = this.store.getDueDebts({ days: 7 });
+      const dueWrap = $("#due-debts-section");
+      if (dueWrap) dueWrap.style.display = due.length ? "" : "none";
+      const dueList = $("#due-debts");
+      if (dueList) {
+        dueList.innerHTML = due.map(d => `
+          <div class="transaction-item" data-id="${d.id}">
+            <div class="transaction-icon ${d.type === "to-me" ? "income" : "expense"}">${d.overdue ? "🔴" : "⏰"}</div>
+            <div class="transaction-details">
+              <div class="transaction-title">${this.personName(d.personId)}${d.description ? ` • ${d.description}` : ""}</div>
+              <div class="transaction-category">${this.dueLabel(d.daysUntilDue)} • ${formatDate(d.dueDate)}</div>
+            </div>
+            <div class="transaction-amount ${d.type === "to-me" ? "income" : "expense"}">${formatCurrency(d.remaining, this.accountCurrency(d.accountId))}</div>
+          </div>
+        `).join("");
+      }
+
+      // رصيد سالب أو منخفض متوقع خلال 30 يومًا
+      const alerts = this.forecast.project({ days: 30, threshold: this.store.getSetting("lowBalanceThreshold", 0) }).warnings;
+      const alertWrap = $("#forecast-alert-section");
+      if (alertWrap) alertWrap.style.display = alerts.length ? "" : "none";
+      const alertList = $("#forecast-alert");
+      if (alertList) alertList.innerHTML = alerts.map((w) => this.forecastWarningHTML(w)).join("");
+
+      // أحدث معاملات
+      const recent = this.store.getTransactions().slice(-3).reverse();
+      const list = $("#recent-transactions");
+      if (list) list.innerHTML = recent.map(t => this.transactionItemHTML(t)).join("") || this.emptyHint("لا توجد معاملات بعد");
+    }
+
+    // المعاملات + البحث والفلاتر + إجماليات المطابق
+    updateTransactionsView() {
+      this.renderTransactionFilters();
+      const { transactions: tx, totals } = this.store.searchTransactions(this.transactionFilters());
+      const list = $("#all-transactions");
+      if (list) list.innerHTML = tx.map(t => this.transactionItemHTML(t, true)).join("") || this.emptyHint("لا توجد معاملات مطابقة");
+
+      const totalsEl = $("#transactions-totals");
+      if (totalsEl) {
+        const base = this.store.getBaseCurrency();
+        const parts = [
+          `${NUM_FMT.format(totals.count)} معاملة`,
+          `الدخل ${formatCurrency(totals.income, base)}`,
+          `المصروف ${formatCurrency(totals.expense, base)}`,
+          `الصافي ${formatCurrency(totals.net, base)}`,
+        ];
+        if (totals.transfers) parts.push(`تحويلات ${formatCurrency(totals.transfers, base)}`);
+        if (totals.debtPayments) parts.push(`دفعات ديون ${formatCurrency(totals.debtPayments, base)}`);
+        totalsEl.textContent = parts.join(" • ");
+      }
+      if (this.currentTab === "transactions") this.saveFiltersToHash();
     }
 
     // الحسابات (مع أزرار تعديل/حذف)
@@ -395,9 +1730,9 @@
       if (!wrap) return;
       wrap.innerHTML = cards.map(acc => `
         <div class="account-card" data-id="${acc.id}">
-          <div class="account-type">${this.mapAccountType(acc.type)}</div>
+          <div class="account-type">${this.mapAccountType(acc.type)} • ${acc.currency || "SAR"}</div>
           <div class="account-name">${acc.name}</div>
-          <div class="account-balance">${formatCurrency(acc.balance)}</div>
+          <div class="account-balance">${formatCurrency(acc.balance, acc.currency)}</div>
           <div class="account-actions" style="margin-top:8px; display:flex; gap:8px;">
             <button class="edit-account">تعديل</button>
             <button class="delete-account">حذف</button>
@@ -419,15 +1754,22 @@
           const newType = prompt("نوع الحساب (cash/bank/credit/savings):", acc.type) || acc.type;
           const newBalanceStr = prompt("الرصيد الحالي:", acc.balance);
           const newBalance = parseAmount(newBalanceStr);
-          await this.store.updateAccount(id, { name: newName.trim(), type: newType, balance: newBalance });
+          try {
+            await this.store.updateAccount(id, { name: newName.trim(), type: newType, balance: newBalance });
+          } catch (err) {
+            return showToast(err.message, "error");
+          }
           this.updateAccountsView(); this.updateDashboard(); this.renderAccountsSelect();
           showToast("تم تحديث الحساب ✅");
         }
 
         if (e.target.classList.contains("delete-account")) {
-          if (!confirm("حذف هذا الحساب؟ إذا كانت هناك معاملات مرتبطة سيتم منع الحذف.")) return;
-          const ok = await this.store.deleteAccount(id);
-          if (!ok) return showToast("لا يمكن حذف الحساب لوجود معاملات مرتبطة به", "error");
+          if (!confirm("حذف هذا الحساب؟ إذا كانت هناك معاملات أو أهداف ادخار أو ديون أو معاملات متكررة مرتبطة به سيتم منع الحذف.")) return;
+          try {
+            await this.store.deleteAccount(id);
+          } catch (err) {
+            return showToast(err.message, "error");
+          }
           this.updateAccountsView(); this.updateDashboard(); this.renderAccountsSelect();
           showToast("تم حذف الحساب 🗑️");
         }
@@ -437,7 +1779,7 @@
       this.renderAccountsSelect();
     }
 
-    // الديون (مع سداد/استرداد)
+    // الديون (مع سداد/استرداد وسجل الدفعات)
     updateDebtsView() {
       const toMe   = this.store.getDebtsToMe();
       const fromMe = this.store.getDebtsFromMe();
@@ -445,144 +1787,783 @@
       const toMeEl   = $("#debts-to-me");
       const fromMeEl = $("#debts-from-me");
 
-      if (toMeEl) {
-        toMeEl.innerHTML = toMe.map(d => `
-          <div class="debt-card debt-to-me" data-id="${d.id}">
-            <div class="debt-info">
-              <h4>${this.personName(d.personId)}</h4>
-              <p>${formatDate(d.date)} • ${d.description || "—"} • الحالة: ${d.status}</p>
-            </div>
-            <div class="debt-amount positive">+${formatCurrency(d.amount)}</div>
-            <div class="debt-actions" style="margin-top:8px; display:flex; gap:8px;">
-              <button class="receive-debt">استرداد</button>
-            </div>
-          </div>
-        `).join("") || this.emptyHint("لا توجد ديون لك");
-      }
+      if (toMeEl) toMeEl.innerHTML = toMe.map(d => this.debtCardHTML(d)).join("") || this.emptyHint("لا توجد ديون لك");
+      if (fromMeEl) fromMeEl.innerHTML = fromMe.map(d => this.debtCardHTML(d)).join("") || this.emptyHint("لا توجد ديون عليك");
+    }
 
-      if (fromMeEl) {
-        fromMeEl.innerHTML = fromMe.map(d => `
-          <div class="debt-card debt-from-me" data-id="${d.id}">
-            <div class="debt-info">
-              <h4>${this.personName(d.personId)}</h4>
-              <p>${formatDate(d.date)} • ${d.description || "—"} • الحالة: ${d.status}</p>
-            </div>
-            <div class="debt-amount negative">-${formatCurrency(d.amount)}</div>
-            <div class="debt-actions" style="margin-top:8px; display:flex; gap:8px;">
-              <button class="pay-debt">سداد</button>
-            </div>
-          </div>
-        `).join("") || this.emptyHint("لا توجد ديون عليك");
+    syncDebtPlanFields() {
+      const isPlan = !!$("#debt-is-plan")?.checked;
+      const fields = $("#debt-plan-fields");
+      if (fields) fields.style.display = isPlan ? "" : "none";
+      const label = $("#debt-due-label");
+      if (label) label.textContent = isPlan ? "تاريخ أول قسط" : "تاريخ الاستحقاق";
+      this.renderDebtPlanPreview();
+    }
+
+    // حقول خطة الأقساط من النموذج (null إن لم تُفعَّل)
+    readDebtPlanFields() {
+      if (!$("#debt-is-plan")?.checked) return null;
+      return {
+        count: parseInt($("#debt-installments").value, 10),
+        frequency: $("#debt-frequency").value,
+        rate: parseAmount($("#debt-rate").value),
+        fee: parseAmount($("#debt-fee").value),
+      };
+    }
+
+    renderDebtPlanPreview() {
+      const box = $("#debt-plan-preview");
+      const plan = this.readDebtPlanFields();
+      if (!box) return;
+      if (!plan) return (box.textContent = "");
+      try {
+        const p = this.store.buildInstallmentPlan({
+          ...plan,
+          principal: parseAmount($("#debt-amount").value),
+          firstDueDate: $("#debt-due-date").value || $("#debt-date").value,
+        });
+        const cur = this.store.getAccounts().find(a => a.name === $("#debt-account")?.value)?.currency || "SAR";
+        box.textContent = `القسط: ${formatCurrency(p.schedule[0].amount, cur)} • الإجمالي: ${formatCurrency(p.total, cur)} • الربح والرسوم: ${formatCurrency(p.profit, cur)} • آخر قسط: ${formatDate(p.schedule[p.count - 1].dueDate)}`;
+      } catch (err) {
+        box.textContent = err.message;
       }
+    }
 
-      const handler = async (e) => {
-        const card = e.target.closest(".debt-card");
-        if (!card) return;
-        const id = card.getAttribute("data-id");
-        if (e.target.classList.contains("receive-debt")) {
-          const amt = parseAmount(prompt("المبلغ المسترد:", ""));
-          if (!amt) return;
-          const accName = prompt("اسم الحساب الذي سيتم إيداعه فيه:", "محفظة نقدية");
-          const ok = await this.store.receiveDebt(id, amt, accName);
-          if (!ok) return showToast("تعذر الاسترداد. تأكد من الحساب.", "error");
-          this.updateDebtsView(); this.updateDashboard();
-          showToast("تم الاسترداد ✅");
-        }
-        if (e.target.classList.contains("pay-debt")) {
-          const amt = parseAmount(prompt("مبلغ السداد:", ""));
-          if (!amt) return;
-          const accName = prompt("اسم الحساب الذي سيتم السداد منه:", "محفظة نقدية");
-          const ok = await this.store.payDebt(id, amt, accName);
-          if (!ok) return showToast("تعذر السداد. تأكد من الحساب.", "error");
-          this.updateDebtsView(); this.updateDashboard();
-          showToast("تم السداد ✅");
+    // سداد/استرداد وحذف الدفعات من بطاقات الديون
+    async handleDebtAction(e) {
+      const card = e.target.closest(".debt-card");
+      if (!card) return;
+      const id = card.getAttribute("data-id");
+      const isReceive = e.target.classList.contains("receive-debt");
+      if (isReceive || e.target.classList.contains("pay-debt")) {
+        const amt = parseAmount(prompt(isReceive ? "المبلغ المسترد:" : "مبلغ السداد:", ""));
+        if (!amt) return;
+        const accName = prompt(isReceive ? "اسم الحساب الذي سيتم إيداعه فيه:" : "اسم الحساب الذي سيتم السداد منه:", "محفظة نقدية");
+        const note = prompt("ملاحظة (اختياري):", "") || "";
+        let ok;
+        try {
+          ok = isReceive
+            ? await this.store.receiveDebt(id, amt, accName, { note })
+            : await this.store.payDebt(id, amt, accName, { note });
+        } catch (err) {
+          return showToast(err.message, "error");
         }
-      };
+        if (!ok) return showToast(isReceive ? "تعذر الاسترداد. تأكد من الحساب." : "تعذر السداد. تأكد من الحساب.", "error");
+        this.refreshAllViews();
+        showToast(isReceive ? "تم الاسترداد ✅" : "تم السداد ✅");
+      }
+      if (e.target.classList.contains("pay-installment")) {
+        const debt = this.store.getDebt(id);
+        const accName = prompt("اسم الحساب:", this.accountName(debt?.accountId, "محفظة نقدية"));
+        if (!accName) return;
+        let ok;
+        try {
+          ok = await this.store.payInstallment(id, +e.target.dataset.n, accName);
+        } catch (err) {
+          return showToast(err.message, "error");
+        }
+        if (!ok) return showToast("تعذر تسجيل القسط. تأكد من الحساب.", "error");
+        this.refreshAllViews();
+        showToast("تم تسجيل القسط ✅");
+      }
+      if (e.target.classList.contains("set-due-date")) {
+        const d = this.store.getDebt(id);
+        const next = prompt("تاريخ الاستحقاق (YYYY-MM-DD) — اتركه فارغًا للإلغاء:", d?.dueDate || "");
+        if (next == null) return;
+        if (next && !/^\d{4}-\d{2}-\d{2}$/.test(next.trim())) return showToast("صيغة التاريخ غير صحيحة", "error");
+        try {
+          await this.store.updateDebt(id, { dueDate: next.trim() });
+        } catch (err) {
+          return showToast(err.message, "error");
+        }
+        this.refreshAllViews();
+        showToast("تم تحديث موعد الاستحقاق 📅");
+      }
+      if (e.target.classList.contains("delete-payment")) {
+        if (!confirm("حذف هذه الدفعة؟ سيتم عكس أثرها على رصيد الحساب.")) return;
+        const ok = await this.store.deleteDebtPayment(id, e.target.closest("[data-payment-id]")?.dataset.paymentId);
+        if (!ok) return showToast("تعذر حذف الدفعة", "error");
+        this.refreshAllViews();
+        showToast("تم حذف الدفعة 🗑️");
+      }
+    }
 
-      toMeEl?.addEventListener("click", handler, { once: true });
-      fromMeEl?.addEventListener("click", handler, { once: true });
+    debtCardHTML(d) {
+      const toMe = d.type === "to-me";
+      const cur = this.accountCurrency(d.accountId);
+      const status = d.overdue ? "متأخر" : ({ pending: "قائم", partial: "مسدد جزئيًا", paid: "مسدد" }[d.status] || d.status);
+      const due = d.dueDate && d.remaining > 0
+        ? `<p style="${d.overdue ? "color:#ef4444; font-weight:700;" : ""}">${d.plan ? "القسط القادم" : "الاستحقاق"}: ${formatDate(d.dueDate)} • ${this.dueLabel(d.daysUntilDue)}</p>`
+        : "";
+      const plan = d.plan ? `
+        <p>الأقساط المتبقية: ${NUM_FMT.format(d.installmentsLeft)} من ${NUM_FMT.format(d.plan.count)} • السداد النهائي: ${formatDate(d.payoffDate)}</p>
+        <details style="margin-top:8px;">
+          <summary>جدول الأقساط</summary>
+          ${d.schedule.map(i => `
+            <div class="debt-installment" style="display:flex; justify-content:space-between; align-items:center; gap:8px; font-size:13px; margin-top:4px;">
+              <span>${NUM_FMT.format(i.n)}. ${formatDate(i.dueDate)}${i.profitPart ? ` • ربح/رسوم ${formatCurrency(i.profitPart, cur)}` : ""}</span>
+              <span>${formatCurrency(i.amount, cur)} ${i.paid ? "✅" : `<button class="pay-installment" data-n="${i.n}">تم الدفع</button>`}</span>
+            </div>
+          `).join("")}
+        </details>
+      ` : "";
+      const payments = (d.payments || []).slice().sort((a, b) => b.date.localeCompare(a.date)).map(p => `
+        <div class="debt-payment" data-payment-id="${p.id}" style="display:flex; justify-content:space-between; gap:8px; font-size:13px; opacity:.9;">
+          <span>${formatDate(p.date)} • ${this.accountName(p.accountId, "—")}${p.note ? ` • ${p.note}` : ""}</span>
+          <span>${formatCurrency(p.amount, cur)} <button class="delete-payment">✕</button></span>
+        </div>
+      `).join("");
+      return `
+        <div class="debt-card ${toMe ? "debt-to-me" : "debt-from-me"}" data-id="${d.id}">
+          <div class="debt-info">
+            <h4>${this.personName(d.personId)}</h4>
+            <p>${formatDate(d.date)} • ${d.description || "—"} • الحالة: ${status}</p>
+            <p>الأصل: ${formatCurrency(d.principal, cur)}${d.plan ? ` • الإجمالي: ${formatCurrency(d.total, cur)}` : ""} • المدفوع: ${formatCurrency(d.paid, cur)}</p>
+            ${due}
+            ${plan}
+          </div>
+          <div class="debt-amount ${toMe ? "positive" : "negative"}">${toMe ? "+" : "-"}${formatCurrency(d.remaining, cur)}</div>
+          ${payments ? `<div class="debt-payments" style="margin-top:8px; display:flex; flex-direction:column; gap:4px;">${payments}</div>` : ""}
+          <div class="debt-actions" style="margin-top:8px; display:flex; gap:8px;">
+            ${d.remaining > 0 ? `<button class="${toMe ? "receive-debt" : "pay-debt"}">${toMe ? "استرداد" : "سداد"}</button>` : ""}
+            ${d.remaining > 0 && !d.plan ? `<button class="set-due-date">موعد الاستحقاق</button>` : ""}
+          </div>
+        </div>
+      `;
     }
 
-    // الادخار (إيداع/تعديل)
+    // الادخار (إيداع/سحب/تعديل مع توقع المطلوب شهريًا)
     updateSavingsView() {
       const goals = this.store.getSavingsGoals();
       const wrap = $("#savings-goals");
       if (!wrap) return;
       wrap.innerHTML = goals.map((g) => {
-        const pct = Math.min(100, Math.round((parseAmount(g.currentAmount) / Math.max(1, parseAmount(g.targetAmount))) * 100));
+        const cur = g.linkedAccount?.currency;
+        const money = (n) => (cur ? formatCurrency(n, cur) : NUM_FMT.format(n));
+        const projection = g.monthlyNeeded != null
+          ? `<div style="margin-top:6px; font-size:12px;">المطلوب شهريًا: ${money(g.monthlyNeeded)}${g.monthsLeft ? ` • الأشهر المتبقية: ${NUM_FMT.format(g.monthsLeft)}` : ""}</div>`
+          : "";
+        const warning = g.behind
+          ? `<div style="margin-top:6px; font-size:12px; color:#f97316; font-weight:700;">⚠️ متأخر عن الخطة — المتوقع الآن ${money(g.expectedAmount)}</div>`
+          : "";
+        const history = (g.history || []).slice().reverse().map(h => `
+          <div style="display:flex; justify-content:space-between; gap:8px; font-size:12px; margin-top:4px;">
+            <span>${formatDate(h.date)} • ${h.type === "contribution" ? "إيداع من" : "سحب إلى"} ${this.accountName(h.accountId, "—")}${h.note ? ` • ${h.note}` : ""}</span>
+            <span>${h.type === "contribution" ? "+" : "-"}${money(h.amount)}</span>
+          </div>
+        `).join("");
         return `
           <div class="account-card" data-id="${g.id}">
-            <div class="account-type">هدف الادخار</div>
+            <div class="account-type">هدف الادخار${g.linkedAccount ? ` • مرتبط بـ ${g.linkedAccount.name}` : ""}</div>
             <div class="account-name">${g.name}</div>
-            <div class="account-balance">${NUM_FMT.format(g.currentAmount)} / ${NUM_FMT.format(g.targetAmount)}</div>
+            <div class="account-balance">${money(g.currentAmount)} / ${money(g.targetAmount)}</div>
             <div style="margin-top: 16px;">
               <div style="background: rgba(255,255,255,0.2); height: 8px; border-radius: 4px; overflow: hidden;">
-                <div style="height: 100%; width: ${pct}%; border-radius: 4px; transition: width .5s ease;"></div>
+                <div style="height: 100%; width: ${g.pct}%; border-radius: 4px; transition: width .5s ease;"></div>
               </div>
-              <div style="margin-top:8px; font-size:12px;">${pct}% مكتمل ${g.targetDate ? `• الهدف: ${formatDate(g.targetDate)}` : ""}</div>
+              <div style="margin-top:8px; font-size:12px;">${g.pct}% مكتمل ${g.targetDate ? `• الهدف: ${formatDate(g.targetDate)}` : ""}</div>
+              ${projection}
+              ${warning}
             </div>
+            ${history ? `<details style="margin-top:8px;"><summary>سجل الحركات</summary>${history}</details>` : ""}
             <div class="goal-actions" style="margin-top:8px; display:flex; gap:8px;">
-              <button class="contribute-goal">إيداع للهدف</button>
+              ${g.linkedAccount ? "" : `<button class="contribute-goal">إيداع للهدف</button>`}
+              ${g.linkedAccount || g.currentAmount <= 0 ? "" : `<button class="withdraw-goal">سحب</button>`}
               <button class="edit-goal">تعديل</button>
             </div>
           </div>
         `;
       }).join("") || this.emptyHint("لا توجد أهداف ادخار بعد");
+    }
 
-      wrap.addEventListener("click", async (e) => {
-        const card = e.target.closest(".account-card");
-        if (!card) return;
-        const id = card.getAttribute("data-id");
+    async handleSavingsAction(e) {
+      const card = e.target.closest(".account-card");
+      if (!card) return;
+      const id = card.getAttribute("data-id");
+
+      const isWithdraw = e.target.classList.contains("withdraw-goal");
+      if (isWithdraw || e.target.classList.contains("contribute-goal")) {
+        const amt = parseAmount(prompt(isWithdraw ? "المبلغ الذي تريد سحبه:" : "المبلغ الذي تريد إيداعه:", ""));
+        if (!amt) return;
+        const accName = prompt(isWithdraw ? "اسم الحساب الذي سيُعاد إليه المبلغ:" : "اسم الحساب الذي سيتم السحب منه:", "محفظة نقدية");
+        let ok;
+        try {
+          ok = isWithdraw
+            ? await this.store.withdrawFromSavings(id, amt, accName)
+            : await this.store.contributeToSavings(id, amt, accName);
+        } catch (err) {
+          return showToast(err.message, "error");
+        }
+        if (!ok) return showToast(isWithdraw ? "تعذر السحب. تأكد من الحساب." : "تعذر الإيداع. تأكد من الحساب.", "error");
+        this.updateSavingsView(); this.updateDashboard();
+        showToast(isWithdraw ? "تم السحب من الهدف 💸" : "تم الإيداع في الهدف 💰");
+      }
 
-        if (e.target.classList.contains("contribute-goal")) {
-          const amt = parseAmount(prompt("المبلغ الذي تريد إيداعه:", ""));
-          if (!amt) return;
-          const accName = prompt("اسم الحساب الذي سيتم السحب منه:", "محفظة نقدية");
-          const ok = await this.store.contributeToSavings(id, amt, accName);
-          if (!ok) return showToast("تعذر الإيداع. تأكد من الحساب.", "error");
-          this.updateSavingsView(); this.updateDashboard();
-          showToast("تم الإيداع في الهدف 💰");
-        }
-
-        if (e.target.classList.contains("edit-goal")) {
-          const g = this.store.getSavingsGoals().find(x => x.id === id);
-          if (!g) return;
-          const newName = prompt("اسم الهدف:", g.name) || g.name;
-          const newTarget = parseAmount(prompt("المبلغ المستهدف:", g.targetAmount));
-          const newCurrent = parseAmount(prompt("المبلغ الحالي:", g.currentAmount));
-          const newDate = prompt("التاريخ المستهدف (YYYY-MM-DD):", g.targetDate) || g.targetDate;
-          await this.store.updateSavingsGoal(id, { name: newName.trim(), targetAmount: newTarget, currentAmount: newCurrent, targetDate: newDate });
-          this.updateSavingsView();
-          showToast("تم تعديل الهدف ✅");
+      if (e.target.classList.contains("edit-goal")) {
+        const g = this.store.getSavingsGoal(id);
+        if (!g) return;
+        const newName = prompt("اسم الهدف:", g.name) || g.name;
+        const newTarget = parseAmount(prompt("المبلغ المستهدف:", g.targetAmount));
+        const newDate = prompt("التاريخ المستهدف (YYYY-MM-DD):", g.targetDate) || g.targetDate;
+        try {
+          await this.store.updateSavingsGoal(id, { name: newName.trim(), targetAmount: newTarget || g.targetAmount, targetDate: newDate });
+        } catch (err) {
+          return showToast(err.message, "error");
         }
-      }, { once: true });
+        this.updateSavingsView();
+        showToast("تم تعديل الهدف ✅");
+      }
+    }
+
+    // حسابات التوفير أولًا لأنها الأنسب لربط الهدف
+    renderSavingsAccountSelect() {
+      const sel = $("#savings-account");
+      if (!sel) return;
+      const accs = this.store.getAccounts().slice().sort((a, b) => (b.type === "savings") - (a.type === "savings"));
+      sel.innerHTML = `<option value="">بدون — أتابع الإيداعات يدويًا</option>` +
+        accs.map(a => `<option value="${a.id}">${a.name} (${this.mapAccountType(a.type)})</option>`).join("");
+    }
+
+    // الميزانيات (أشرطة تقدم لكل فئة في الشهر المختار)
+    updateBudgetsView() {
+      const monthInput = $("#budget-month");
+      if (monthInput && !monthInput.value) monthInput.value = new Date().toISOString().slice(0, 7);
+      const month = monthInput?.value || new Date().toISOString().slice(0, 7);
+      const wrap = $("#budgets-list");
+      if (!wrap) return;
+      const base = this.store.getBaseCurrency(); // الميزانيات بالعملة الأساسية
+
+      wrap.innerHTML = this.store.getBudgetStatus(month).map((s) => {
+        const pct = Math.min(100, s.pct);
+        const color = s.pct >= 100 ? "#ef4444" : (s.pct >= 80 ? "#f97316" : "#16a34a");
+        return `
+          <div class="account-card" data-id="${s.budgetId}">
+            <div class="account-type">${s.isMonthSpecific ? "ميزانية هذا الشهر" : "ميزانية شهرية"}${s.rollover ? " • مع ترحيل" : ""}</div>
+            <div class="account-name">${this.categoryIcon(s.categoryId)} ${s.category}</div>
+            <div class="account-balance">${NUM_FMT.format(s.spent)} / ${NUM_FMT.format(s.available)}</div>
+            <div style="margin-top: 16px;">
+              <div style="background: rgba(255,255,255,0.2); height: 8px; border-radius: 4px; overflow: hidden;">
+                <div style="height: 100%; width: ${pct}%; background: ${color}; border-radius: 4px; transition: width .5s ease;"></div>
+              </div>
+              <div style="margin-top:8px; font-size:12px;">
+                ${NUM_FMT.format(s.pct)}% مستخدم • ${s.remaining >= 0 ? `المتبقي: ${formatCurrency(s.remaining, base)}` : `تجاوز بمقدار ${formatCurrency(-s.remaining, base)}`}
+                ${s.carried ? ` • مرحَّل: ${formatCurrency(s.carried, base)}` : ""}
+              </div>
+            </div>
+            <div class="budget-actions" style="margin-top:8px; display:flex; gap:8px;">
+              <button class="edit-budget">تعديل</button>
+              <button class="delete-budget">حذف</button>
+            </div>
+          </div>
+        `;
+      }).join("") || this.emptyHint("لا توجد ميزانيات لهذا الشهر — أضف ميزانية لفئة مصروف");
+    }
+
+    async handleBudgetAction(e) {
+      const card = e.target.closest(".account-card");
+      if (!card) return;
+      const id = card.getAttribute("data-id");
+      const b = this.store.getBudgets().find(x => x.id === id);
+      if (!b) return;
+
+      if (e.target.classList.contains("edit-budget")) {
+        const amountStr = prompt(`الحد الشهري لـ ${b.category}:`, b.amount);
+        if (amountStr == null) return;
+        const rollover = confirm("ترحيل المبلغ غير المصروف للشهر التالي؟");
+        try {
+          await this.store.updateBudget(id, { amount: parseAmount(amountStr), rollover });
+        } catch (err) {
+          return showToast(err.message, "error");
+        }
+        this.updateBudgetsView();
+        showToast("تم تعديل الميزانية ✅");
+      }
+      if (e.target.classList.contains("delete-budget")) {
+        if (!confirm(`حذف ميزانية ${b.category}؟`)) return;
+        await this.store.deleteBudget(id);
+        this.updateBudgetsView();
+        showToast("تم حذف الميزانية 🗑️");
+      }
+    }
+
+    // تنبيه عند تجاوز مصروف فئة 80% أو 100% من ميزانيتها (لكل فئة في المعاملة المقسّمة)
+    // previous: المعاملة قبل التعديل إن كان تعديلًا
+    notifyBudget(tx, previous = null) {
+      for (const { category, level } of this.store.budgetAlerts(tx, previous)) {
+        if (level === 100) showToast(`تجاوزت ميزانية ${category} لهذا الشهر 🚨`, "error");
+        else showToast(`وصلت إلى 80% من ميزانية ${category} ⚠️`, "warning");
+      }
+    }
+
+    // التقارير: الفئات والحسابات للفترة المختارة، والدخل مقابل المصروف لآخر 12 شهرًا
+    updateReportsView() {
+      const today = new Date().toISOString();
+      const scope = $("#report-scope")?.value || "month";
+      const monthInput = $("#report-month");
+      const yearInput = $("#report-year");
+      if (monthInput && !monthInput.value) monthInput.value = today.slice(0, 7);
+      if (yearInput && !yearInput.value) yearInput.value = today.slice(0, 4);
+      if (monthInput) monthInput.style.display = scope === "month" ? "" : "none";
+      if (yearInput) yearInput.style.display = scope === "year" ? "" : "none";
+      const period = scope === "year" ? String(yearInput?.value || today.slice(0, 4)) : (monthInput?.value || today.slice(0, 7));
+      const base = this.store.getBaseCurrency();
+
+      // المصروف حسب الفئة (لون الفئة المخزّن، ولوحة الرسم لما لا لون له)
+      const cats = this.store.getCategoryReport(period);
+      const colorOf = (categoryId, i) => this.categoryColor(categoryId, i);
+      const spent = cats.reduce((s, c) => s + c.amount, 0);
+      const catsWrap = $("#report-categories");
+      if (catsWrap) {
+        catsWrap.innerHTML = cats.length ? `
+          <div style="display:flex; gap:16px; align-items:center; flex-wrap:wrap;">
+            ${donutSVG(cats.map((c, i) => ({ value: c.amount, color: colorOf(c.categoryId, i), label: `${c.category || "أخرى"}: ${formatCurrency(c.amount, base)}` })), formatCurrency(spent, base))}
+            <div style="flex:1; min-width:180px;">
+              ${cats.map((c, i) => `
+                <div class="transaction-item">
+                  <div class="transaction-icon expense" style="border:2px solid ${colorOf(c.categoryId, i)};">${this.categoryIcon(c.categoryId)}</div>
+                  <div class="transaction-details">
+                    <div class="transaction-title">${c.category || "أخرى"}</div>
+                    <div class="transaction-category">${NUM_FMT.format(c.pct)}% • ${NUM_FMT.format(c.count)} عملية</div>
+                  </div>
+                  <div class="transaction-amount expense">${formatCurrency(c.amount, base)}</div>
+                </div>
+              `).join("")}
+            </div>
+          </div>
+        ` : this.emptyHint("لا مصروفات في هذه الفترة");
+      }
+
+      // الدخل مقابل المصروف شهريًا
+      const months = this.store.getMonthlyTotals(12);
+      const monthlyWrap = $("#report-monthly");
+      if (monthlyWrap) {
+        const inc = months.reduce((s, m) => s + m.income, 0);
+        const exp = months.reduce((s, m) => s + m.expense, 0);
+        const label = (month) => MONTH_FMT.format(new Date(`${month}-15T00:00:00`));
+        monthlyWrap.innerHTML = `
+          ${barsSVG(months.map((m) => ({
+            label: label(m.month),
+            values: [m.income, m.expense],
+            titles: [`${m.month} دخل: ${formatCurrency(m.income, base)}`, `${m.month} مصروف: ${formatCurrency(m.expense, base)}`],
+          })), ["#48bb78", "#ed8936"])}
+          <div style="margin-top:8px; font-size:12px; display:flex; gap:12px; flex-wrap:wrap;">
+            <span style="color:#48bb78;">■ الدخل: ${formatCurrency(inc, base)}</span>
+            <span style="color:#ed8936;">■ المصروف: ${formatCurrency(exp, base)}</span>
+            <span>الصافي: ${formatCurrency(inc - exp, base)}</span>
+          </div>
+        `;
+      }
+
+      // نشاط الحسابات (كل حساب بعملته)
+      const activity = this.store.getAccountActivity(period).filter((a) => a.count);
+      const accWrap = $("#report-accounts");
+      if (accWrap) {
+        accWrap.innerHTML = activity.map((a) => `
+          <div class="transaction-item">
+            <div class="transaction-icon transfer">💳</div>
+            <div class="transaction-details">
+              <div class="transaction-title">${a.name}</div>
+              <div class="transaction-category">داخل ${formatCurrency(a.inflow, a.currency)} • خارج ${formatCurrency(a.outflow, a.currency)} • ${NUM_FMT.format(a.count)} حركة</div>
+              ${flowSVG(a.inflow, a.outflow)}
+            </div>
+            <div class="transaction-amount ${a.net >= 0 ? "income" : "expense"}">${a.net >= 0 ? "+" : "-"}${formatCurrency(Math.abs(a.net), a.currency)}</div>
+          </div>
+        `).join("") || this.emptyHint("لا حركات على الحسابات في هذه الفترة");
+      }
+
+      // حسب الوسم (بالعملة الأساسية)
+      const tagWrap = $("#report-tags");
+      if (tagWrap) {
+        tagWrap.innerHTML = this.store.getTagReport(period).map((r) => `
+          <div class="transaction-item">
+            <div class="transaction-icon transfer">🏷️</div>
+            <div class="transaction-details">
+              <div class="transaction-title">#${escapeHtml(r.tag)}</div>
+              <div class="transaction-category">دخل ${formatCurrency(r.income, base)} • مصروف ${formatCurrency(r.expense, base)} • ${NUM_FMT.format(r.count)} معاملة</div>
+            </div>
+            <div class="transaction-amount ${r.net >= 0 ? "income" : "expense"}">${r.net >= 0 ? "+" : "-"}${formatCurrency(Math.abs(r.net), base)}</div>
+          </div>
+        `).join("") || this.emptyHint("لا معاملات موسومة في هذه الفترة");
+      }
+
+      this.renderForecast();
+    }
+
+    // التدفق النقدي المتوقع: منحنى الرصيد اليومي + تنبيهات الرصيد المنخفض + الخط الزمني للحركات
+    renderForecast() {
+      const daysSel = $("#forecast-days");
+      const accSel = $("#forecast-account");
+      const thresholdInput = $("#forecast-threshold");
+      if (!daysSel || !accSel) return;
+      if (!daysSel.dataset.loaded) {
+        daysSel.value = String(this.store.getSetting("forecastDays", 30));
+        if (thresholdInput) thresholdInput.value = this.store.getSetting("lowBalanceThreshold", 0);
+        daysSel.dataset.loaded = "1";
+      }
+      const selected = accSel.value;
+      accSel.innerHTML = `<option value="">كل الحسابات (${this.store.getBaseCurrency()})</option>` +
+        this.store.getAccounts().map((a) => `<option value="${a.id}">${a.name}</option>`).join("");
+      accSel.value = this.store.getAccounts().some((a) => a.id === selected) ? selected : "";
+      const accountId = accSel.value;
+
+      const f = this.forecast.project({ days: daysSel.value, threshold: parseAmount(thresholdInput?.value) });
+      const mid = f.daily[Math.floor(f.daily.length / 2)].date;
+      const chart = $("#forecast-chart");
+      if (chart) {
+        const values = f.daily.map((d) => (accountId ? d.balances[accountId] : d.total));
+        const currency = accountId ? this.accountCurrency(accountId) : f.base;
+        chart.innerHTML = `
+          ${lineSVG(values, { threshold: accountId ? f.threshold : null, labels: [formatDate(f.from), formatDate(mid), formatDate(f.to)] })}
+          <div style="margin:8px 0 16px; font-size:12px; display:flex; gap:12px; flex-wrap:wrap;">
+            <span>الآن: ${formatCurrency(values[0], currency)}</span>
+            <span>بعد ${NUM_FMT.format(f.days)} يومًا: ${formatCurrency(values[values.length - 1], currency)}</span>
+            <span>الأدنى: ${formatCurrency(Math.min(...values), currency)}</span>
+          </div>
+        `;
+      }
+
+      const warnings = $("#forecast-warnings");
+      if (warnings) {
+        warnings.innerHTML = f.warnings.filter((w) => !accountId || w.accountId === accountId).map((w) => this.forecastWarningHTML(w)).join("");
+      }
+
+      const sourceIcon = { recurring: "🔁", debt: "🤝", savings: "🎯", pattern: "📈" };
+      const sourceLabel = { recurring: "متكررة", debt: "دين", savings: "ادخار", pattern: "نمط مكتشف" };
+      const credit = new Set(f.accounts.filter((a) => a.type === "credit").map((a) => a.accountId));
+      const timeline = $("#forecast-timeline");
+      if (timeline) {
+        timeline.innerHTML = f.items.filter((i) => !accountId || i.accountId === accountId).map((i) => {
+          const kind = i.amount >= 0 ? "income" : "expense";
+          const currency = this.accountCurrency(i.accountId);
+          const low = i.balanceAfter < f.threshold && !credit.has(i.accountId);
+          return `
+            <div class="transaction-item">
+              <div class="transaction-icon ${kind}">${sourceIcon[i.source] || "•"}</div>
+              <div class="transaction-details">
+                <div class="transaction-title">${i.label}</div>
+                <div class="transaction-category">${formatDate(i.date)} • ${sourceLabel[i.source] || ""} • ${this.accountName(i.accountId)}</div>
+                <div class="transaction-category"${low ? ' style="color:#ef4444;"' : ""}>الرصيد بعدها: ${formatCurrency(i.balanceAfter, currency)}${i.overdue ? " • متأخر" : ""}</div>
+              </div>
+              <div class="transaction-amount ${kind}">${i.amount >= 0 ? "+" : "-"}${formatCurrency(Math.abs(i.amount), currency)}</div>
+            </div>
+          `;
+        }).join("") || this.emptyHint("لا حركات متوقعة في هذه الفترة");
+      }
+    }
+
+    forecastWarningHTML(w) {
+      const negative = w.level === "negative";
+      return `
+        <div class="transaction-item">
+          <div class="transaction-icon expense">${negative ? "🔴" : "⚠️"}</div>
+          <div class="transaction-details">
+            <div class="transaction-title">${w.name}: ${negative ? "رصيد سالب متوقع" : "رصيد منخفض متوقع"}</div>
+            <div class="transaction-category">${formatDate(w.date)}${w.beforeIncome ? " • قبل الدخل القادم" : ""} • الأدنى ${formatCurrency(w.min, w.currency)} (${formatDate(w.minDate)})</div>
+          </div>
+          <div class="transaction-amount expense">${formatCurrency(w.balance, w.currency)}</div>
+        </div>
+      `;
     }
 
     // الإعدادات (قوائم الفئات والأشخاص داخل النوافذ)
     updateSettingsView() {
+      const reminders = $("#debt-reminders-toggle");
+      if (reminders) reminders.checked = !!this.store.getSetting("debtReminders", false);
+      const encryption = $("#encryption-toggle");
+      if (encryption) encryption.checked = this.store.isEncrypted();
+      const autoLock = $("#auto-lock-minutes");
+      if (autoLock) autoLock.value = String(this.auth.getAutoLockMinutes());
       this.renderCategoriesList();
       this.renderPeopleList();
       this.renderCategoriesSelect();
+      this.renderIntegrityReport();
     }
 
-    renderCategoriesList() {
-      const list = $("#categories-list");
+    syncRecurringTypeFields() {
+      const isTransfer = $("#recurring-type")?.value === "transfer";
+      const catGroup = $("#recurring-category-group");
+      const toGroup  = $("#recurring-to-account-group");
+      if (catGroup) catGroup.style.display = isTransfer ? "none" : "";
+      if (toGroup)  toGroup.style.display  = isTransfer ? "" : "none";
+      $("#recurring-category")?.toggleAttribute("required", !isTransfer);
+      $("#recurring-to-account")?.toggleAttribute("required", isTransfer);
+    }
+
+    // قائمة القوالب المتكررة مع أزرار الإدارة
+    renderRecurringList() {
+      const list = $("#recurring-list");
       if (!list) return;
-      const cats = this.store.getCategories();
-      list.innerHTML = cats.map(c => `
+      const freq = { daily: "يومي", weekly: "أسبوعي", monthly: "شهري", yearly: "سنوي" };
+      list.innerHTML = this.store.getRecurring().map(r => {
+        const ended = this.store.isRecurrenceEnded(r);
+        const every = r.interval > 1 ? `كل ${NUM_FMT.format(r.interval)} • ${freq[r.frequency]}` : freq[r.frequency];
+        const status = ended ? "منتهي" : (r.paused ? "موقوف مؤقتًا" : `القادم: ${formatDate(r.nextDate)}`);
+        return `
+          <div class="setting-item" data-id="${r.id}">
+            <div class="setting-icon">${r.paused ? "⏸️" : "🔁"}</div>
+            <div class="setting-info">
+              <div class="setting-title">${r.description} • ${formatCurrency(r.amount, this.accountCurrency(r.accountId))}</div>
+              <div class="setting-description">${every} • ${status}${r.autoPost ? " • تلقائي" : ""}</div>
+              <div class="recurring-actions" style="margin-top:8px; display:flex; gap:8px; flex-wrap:wrap;">
+                <button class="toggle-recurring">${r.paused ? "استئناف" : "إيقاف"}</button>
+                <button class="edit-recurring">تعديل</button>
+                ${ended ? "" : `<button class="skip-recurring">تخطي القادم</button>`}
+                <button class="delete-recurring">حذف</button>
+              </div>
+            </div>
+          </div>
+        `;
+      }).join("") || this.emptyHint("لا توجد معاملات متكررة بعد");
+    }
+
+    async handleRecurringAction(e) {
+      const item = e.target.closest(".setting-item");
+      if (!item) return;
+      const id = item.getAttribute("data-id");
+      const r = this.store.getRecurring().find(x => x.id === id);
+      if (!r) return;
+
+      if (e.target.classList.contains("toggle-recurring")) {
+        await this.store.pauseRecurring(id, !r.paused);
+        if (r.paused) await this.runRecurring();
+        showToast(r.paused ? "تم استئناف التكرار ▶️" : "تم إيقاف التكرار ⏸️");
+      }
+      if (e.target.classList.contains("skip-recurring")) {
+        await this.store.skipNextOccurrence(id);
+        showToast(`تم تخطي تكرار ${formatDate(r.nextDate)} ⏭️`);
+      }
+      if (e.target.classList.contains("delete-recurring")) {
+        if (!confirm("حذف هذا القالب؟ المعاملات المسجلة سابقًا لن تتأثر.")) return;
+        await this.store.deleteRecurring(id);
+        showToast("تم حذف القالب 🗑️");
+      }
+      if (e.target.classList.contains("edit-recurring")) {
+        this.editingRecurringId = id;
+        $("#recurring-type").value = r.type;
+        $("#recurring-amount").value = r.amount;
+        $("#recurring-description").value = r.description || "";
+        $("#recurring-category").value = r.categoryId || "";
+        $("#recurring-account").value = this.accountName(r.accountId);
+        $("#recurring-to-account").value = this.accountName(r.toAccountId);
+        $("#recurring-frequency").value = r.frequency;
+        $("#recurring-interval").value = r.interval;
+        $("#recurring-start-label").textContent = "التكرار القادم";
+        $("#recurring-start").value = r.nextDate;
+        $("#recurring-end").value = r.endDate || "";
+        $("#recurring-count").value = r.maxOccurrences || "";
+        $("#recurring-auto").checked = !!r.autoPost;
+        this.syncRecurringTypeFields();
+        $("#recurring-amount").focus();
+      }
+      this.renderRecurringList();
+      this.updateDashboard();
+    }
+
+    // قوائم الحسابات والفئات في نموذج التصدير (الحسابات بالمعرّف)
+    renderExportFilters() {
+      const accSel = $("#export-account");
+      const catSel = $("#export-category");
+      if (accSel) {
+        accSel.innerHTML = `<option value="">كل الحسابات</option>` +
+          this.store.getAccounts().map(a => `<option value="${a.id}">${a.name}</option>`).join("");
+      }
+      if (catSel) {
+        catSel.innerHTML = `<option value="">كل الفئات</option>` +
+          this.categoryOptions();
+      }
+    }
+
+    // قوائم الحساب والفئة في تصفية المعاملات (مع الإبقاء على الاختيار الحالي)
+    renderTransactionFilters() {
+      const fill = (sel, html) => {
+        const el = $(sel);
+        if (!el) return;
+        const value = el.value;
+        el.innerHTML = html;
+        el.value = value;
+      };
+      fill("#tx-filter-account", `<option value="">كل الحسابات</option>` +
+        this.store.getAccounts().map(a => `<option value="${a.id}">${a.name}</option>`).join(""));
+      fill("#tx-filter-category", `<option value="">كل الفئات</option>` + this.categoryOptions());
+      const tags = this.store.getTags();
+      fill("#tx-filter-tag", `<option value="">كل الوسوم</option>` +
+        tags.map(t => `<option value="${t}">#${t}</option>`).join(""));
+      const datalist = $("#transaction-tags-list");
+      if (datalist) datalist.innerHTML = tags.map(t => `<option value="${t}"></option>`).join("");
+    }
+
+    // ملخص ما سيُضاف قبل تأكيد الاستيراد
+    renderImportSummary() {
+      const wrap = $("#import-summary");
+      const btn = $("#confirm-import-btn");
+      if (!wrap) return;
+      btn.disabled = true;
+      const locked = this.store.isProtectedBackup(this.pendingImport);
+      $("#import-password-group").style.display = locked ? "" : "none";
+      if (!this.pendingImport) { wrap.innerHTML = ""; return; }
+      if (locked) { wrap.innerHTML = this.emptyHint("🔐 النسخة محمية — أدخل كلمة المرور لعرض محتواها"); return; }
+
+      let summary;
+      try {
+        summary = this.store.previewImport(this.pendingImport, $("#import-mode").value);
+      } catch (err) {
+        wrap.innerHTML = this.emptyHint(`⚠️ ${err.message}`);
+        return;
+      }
+
+      const labels = {
+        accounts: "الحسابات", transactions: "المعاملات", debts: "الديون", savings: "أهداف الادخار",
+        categories: "الفئات", people: "الأشخاص", ledger: "حركات الأرصدة", recurring: "المعاملات المتكررة",
+        budgets: "الميزانيات",
+      };
+      const isReplace = summary.mode === "replace";
+      wrap.innerHTML = Object.entries(summary.tables).map(([t, s]) => `
+        <div class="setting-item">
+          <div class="setting-info">
+            <div class="setting-title">${labels[t] || t}</div>
+            <div class="setting-description">
+              سيُضاف: ${NUM_FMT.format(s.added)}${isReplace ? ` • سيُحذف: ${NUM_FMT.format(s.removed)}` : ` • مكرر/مرتبط: ${NUM_FMT.format(s.skipped)}`}
+            </div>
+          </div>
+        </div>
+      `).join("") + (summary.profile?.name && summary.profile.name !== this.profile.name
+        ? `<div class="setting-description">من الملف الشخصي: ${escapeHtml(summary.profile.name)}</div>`
+        : "") + (summary.attachments
+        ? `<div class="setting-description">المرفقات: ${NUM_FMT.format(summary.attachments)} ملف</div>`
+        : "") + (summary.from !== summary.to
+        ? `<div class="setting-description">سيتم ترقية الملف من الإصدار ${summary.from} إلى ${summary.to}</div>`
+        : "");
+      btn.disabled = false;
+    }
+
+    // قوائم اختيار الأعمدة من عناوين الكشف (أو أرقامها)
+    renderStatementColumns() {
+      const hasHeader = $("#statement-has-header")?.checked;
+      const first = this.statementRows[0] || [];
+      const headers = first.map((h, i) => (hasHeader ? h : "") || `عمود ${i + 1}`);
+      const guess = hasHeader ? this.store.guessStatementMapping(first) : {};
+      const options = `<option value="-1">— غير مستخدم —</option>` +
+        headers.map((h, i) => `<option value="${i}">${escapeHtml(h)}</option>`).join("");
+      for (const key of ["date", "description", "debit", "credit"]) {
+        const sel = $(`#statement-col-${key}`);
+        if (!sel) continue;
+        sel.innerHTML = options;
+        sel.value = String(guess[key] ?? -1);
+      }
+    }
+
+    // معاينة صفوف الكشف: المكرر والخاطئ غير محدد افتراضيًا
+    renderStatementPreview() {
+      const list = $("#statement-preview");
+      const summary = $("#statement-summary");
+      if (!list) return;
+      const account = $("#statement-account")?.value;
+      const currency = this.store.getAccounts().find(a => a.name === account)?.currency;
+      const rows = $("#statement-has-header")?.checked ? this.statementRows.slice(1) : this.statementRows;
+      this.statementCandidates = [];
+
+      if (!rows.length || !account) {
+        list.innerHTML = rows.length ? this.emptyHint("اختر الحساب لعرض المعاينة") : "";
+        if (summary) summary.textContent = "";
+        return;
+      }
+
+      const mapping = {};
+      for (const key of ["date", "description", "debit", "credit"]) mapping[key] = +($(`#statement-col-${key}`)?.value ?? -1);
+      this.statementCandidates = this.store.prepareStatementRows(rows, mapping, account);
+
+      const dupes = this.statementCandidates.filter(r => r.duplicate).length;
+      const errors = this.statementCandidates.filter(r => r.error).length;
+      if (summary) {
+        summary.textContent = `${NUM_FMT.format(rows.length)} صف • مكرر محتمل: ${NUM_FMT.format(dupes)} • غير صالح: ${NUM_FMT.format(errors)}`;
+      }
+
+      list.innerHTML = this.statementCandidates.map((r, i) => {
+        const isIncome = r.type === "income";
+        const flag = r.error ? `⚠️ ${r.error}` : (r.duplicate ? "⚠️ مكرر محتمل" : "");
+        return `
+          <label class="transaction-item">
+            <input type="checkbox" class="statement-row" data-index="${i}" ${r.error ? "disabled" : (r.duplicate ? "" : "checked")} />
+            <div class="transaction-details">
+              <div class="transaction-title">${escapeHtml(r.description) || "—"}</div>
+              <div class="transaction-category">${r.date ? formatDate(r.date) : `سطر ${r.line}`}${flag ? ` • ${escapeHtml(flag)}` : ""}</div>
+            </div>
+            <div class="transaction-amount ${isIncome ? "income" : "expense"}">${(isIncome ? "+" : "-") + formatCurrency(r.amount, currency)}</div>
+          </label>
+        `;
+      }).join("");
+    }
+
+    // تقرير الحسابات التي انحرف رصيدها عن السجل
+    renderIntegrityReport() {
+      const wrap = $("#integrity-report");
+      const drifted = this.store.checkBalanceIntegrity();
+      if (!wrap) return drifted;
+      if (!drifted.length) {
+        wrap.innerHTML = this.emptyHint("كل الأرصدة مطابقة للسجل ✅");
+        return drifted;
+      }
+      wrap.innerHTML = drifted.map(r => {
+        const cur = this.accountCurrency(r.accountId);
+        return `
         <div class="setting-item">
-          <div class="setting-icon">${c.icon || "🏷️"}</div>
+          <div class="setting-icon">⚠️</div>
+          <div class="setting-info">
+            <div class="setting-title">${r.name}</div>
+            <div class="setting-description">المخزّن: ${formatCurrency(r.stored, cur)} • حسب السجل: ${formatCurrency(r.computed, cur)} • الفرق: ${formatCurrency(r.drift, cur)}</div>
+          </div>
+        </div>
+      `;
+      }).join("") + `<button class="action-btn repair-balances">إصلاح الأرصدة</button>`;
+      return drifted;
+    }
+
+    // القائمة في الإعدادات للعرض، وفي مودال الإدارة مع زر التعديل وعدد الاستخدام
+    renderCategoriesList() {
+      const cats = this.store.getCategories();
+      const item = (c, manage) => `
+        <div class="setting-item" data-category-id="${c.id}">
+          <div class="setting-icon" style="border:2px solid ${this.categoryColor(c.id)};">${c.icon || "🏷️"}</div>
           <div class="setting-info">
             <div class="setting-title">${c.name}</div>
-            <div class="setting-description">${c.type === "income" ? "دخل" : "مصروف"}</div>
+            <div class="setting-description">${c.type === "income" ? "دخل" : "مصروف"}${manage ? ` • ${NUM_FMT.format(this.store.getCategoryUsage(c.id).transactions)} معاملة` : ""}</div>
+            ${manage ? `<div style="margin-top:8px"><button class="edit-category">تعديل / حذف / دمج</button></div>` : ""}
           </div>
         </div>
-      `).join("") || this.emptyHint("أضف فئة جديدة لبدء التنظيم");
+      `;
+      const list = $("#categories-list");
+      if (list) list.innerHTML = cats.map((c) => item(c, false)).join("") || this.emptyHint("أضف فئة جديدة لبدء التنظيم");
+      const manage = $("#categories-manage-list");
+      if (manage) manage.innerHTML = cats.map((c) => item(c, true)).join("");
 
       // تحديث قائمة الفئات في نموذج المعاملة
       this.renderCategoriesSelect();
     }
 
+    openCategoryEditor(categoryId) {
+      const c = this.categoryOf(categoryId);
+      if (!c) return;
+      this.openModal("category-modal");
+      this.editingCategoryId = c.id;
+      $("#category-edit-name").value = c.name;
+      $("#category-edit-icon").value = c.icon || "🏷️";
+      $("#category-edit-color").value = this.categoryColor(c.id);
+      $("#category-edit-no-color").checked = !c.color;
+      $("#category-target").innerHTML = `<option value="">اختر فئة من نفس النوع</option>` + this.categoryOptions(c.type, { exclude: c.id });
+      const u = this.store.getCategoryUsage(c.id);
+      $("#category-usage").textContent = u.total
+        ? `مستخدمة في ${NUM_FMT.format(u.transactions)} معاملة • ${NUM_FMT.format(u.recurring)} قالب متكرر • ${NUM_FMT.format(u.budgets)} ميزانية`
+        : "غير مستخدمة — يمكن حذفها مباشرة";
+    }
+
+    // الاسم والأيقونة يظهران في كل القوائم، فنعيد بنائها
+    afterCategoryChange(message) {
+      this.renderCategoriesList();
+      this.renderTransactionFilters();
+      this.refreshAllViews();
+      showToast(message);
+    }
+
     renderPeopleList() {
       const list = $("#people-list");
       if (!list) return;
@@ -605,50 +2586,139 @@
     }
 
     renderAccountsSelect() {
-      const selTx   = $("#transaction-account");
-      const selDebt = $("#debt-account");
       const accs = this.store.getAccounts();
       const options = [`<option value="">اختر الحساب</option>`]
         .concat(accs.map(a => `<option value="${a.name}">${a.name}</option>`))
         .join("");
-      if (selTx)   selTx.innerHTML = options;
-      if (selDebt) selDebt.innerHTML = options;
+      const selects = [
+        "#transaction-account", "#transaction-to-account", "#debt-account",
+        "#statement-account", "#recurring-account", "#recurring-to-account",
+      ];
+      for (const s of selects) {
+        const sel = $(s);
+        if (sel) sel.innerHTML = options;
+      }
+    }
+
+    // قوائم العملات: عملة المعاملة، عملة الحساب الجديد، والعملة الأساسية
+    renderCurrencySelects() {
+      const base = this.store.getBaseCurrency();
+      const options = this.store.getCurrencies().map(c => `<option value="${c}">${c}</option>`).join("");
+      for (const s of ["#transaction-currency", "#account-currency", "#base-currency"]) {
+        const sel = $(s);
+        if (!sel) continue;
+        sel.innerHTML = options;
+        sel.value = base;
+      }
+    }
+
+    renderRatesList() {
+      const list = $("#rates-list");
+      if (!list) return;
+      list.innerHTML = this.store.getExchangeRates().map(r => `
+        <div class="setting-item" data-id="${r.id}">
+          <div class="setting-icon">💱</div>
+          <div class="setting-info">
+            <div class="setting-title">1 ${r.currency} = ${formatCurrency(r.rate, "SAR")}</div>
+            <div class="setting-description">ساري من ${formatDate(r.date)}</div>
+          </div>
+          <button class="delete-rate">حذف</button>
+        </div>
+      `).join("") || this.emptyHint("لا توجد أسعار صرف — أضف سعرًا لاستخدام عملات أخرى");
     }
 
     renderCategoriesSelect() {
-      const sel = $("#transaction-category");
-      if (!sel) return;
-      const cats = this.store.getCategories();
-      sel.innerHTML = `<option value="">اختر الفئة</option>` +
-        cats.map(c => `<option value="${c.name}">${c.name}</option>`).join("");
+      const budgetSel = $("#budget-category");
+      if (budgetSel) budgetSel.innerHTML = `<option value="">اختر الفئة</option>` + this.categoryOptions("expense");
+      const options = `<option value="">اختر الفئة</option>` + this.categoryOptions();
+      for (const s of ["#transaction-category", "#recurring-category"]) {
+        const sel = $(s);
+        if (sel) sel.innerHTML = options;
+      }
+
+      // فئات استيراد الكشف حسب النوع
+      for (const type of ["expense", "income"]) {
+        const s = $(`#statement-${type}-category`);
+        if (s) s.innerHTML = this.categoryOptions(type);
+      }
     }
 
     // ---------- Small helpers ----------
     transactionItemHTML(t, withDate = false) {
       const isIncome = t.type === "income";
-      const icon = isIncome ? "💼" : this.iconForCategory(t.category);
-      const amountTxt = (isIncome ? "+" : "-") + formatCurrency(Math.abs(parseAmount(t.amount)));
+      const isTransfer = t.type === "transfer";
+      const kind = isTransfer ? "transfer" : (isIncome ? "income" : "expense");
+      const icon = t.debtId ? "🤝" : (isTransfer ? "🔁" : this.categoryIcon(t.categoryId, isIncome ? "💼" : "🧾"));
+      const color = t.debtId || isTransfer || !this.categoryOf(t.categoryId) ? null : this.categoryColor(t.categoryId);
+      const sign = isTransfer ? "" : (isIncome ? "+" : "-");
+      const amountTxt = sign + formatCurrency(Math.abs(parseAmount(t.amount)), t.currency);
+      const title = t.description || (isTransfer ? "تحويل" : (isIncome ? "دخل" : "مصروف"));
+      const subtitle = isTransfer
+        ? `من ${this.accountName(t.accountId, t.accountName)} إلى ${this.accountName(t.toAccountId, t.toAccountName)}`
+        : (t.debtId ? "دفعة دين" : (t.splits?.length ? t.splits.map(s => s.category).join("، ") : (t.category || "أخرى")));
       const dateChip = withDate ? ` • ${formatDate(t.date)}` : "";
+      const tags = (t.tags || []).map(tag => `
+              <button type="button" class="tag-chip" data-tag="${escapeHtml(tag)}" style="font-size:11px; padding:1px 6px; border-radius:10px;">#${escapeHtml(tag)}</button>`).join("");
+      const files = t.attachments?.length ? `
+            <details class="transaction-attachments" style="margin-top:4px; font-size:12px;">
+              <summary>📎 مرفقات (${NUM_FMT.format(t.attachments.length)})</summary>
+              ${t.attachments.map(a => `
+                <button type="button" class="view-attachment" data-att-id="${a.id}">${a.type === "application/pdf" ? "📄" : "🖼️"} ${escapeHtml(a.name)}</button>
+              `).join("")}
+            </details>` : "";
+      const n = t.splits?.length || 0;
+      const splits = n ? `
+            <details class="transaction-splits" style="margin-top:4px; font-size:12px;">
+              <summary>✂️ مقسّمة على ${n === 2 ? "فئتين" : `${NUM_FMT.format(n)} ${n <= 10 ? "فئات" : "فئة"}`}</summary>
+              ${t.splits.map(s => `
+                <div>${this.categoryIcon(s.categoryId)} ${escapeHtml(s.category)} — ${formatCurrency(s.amount, t.currency)}${s.note ? ` • ${escapeHtml(s.note)}` : ""}</div>
+              `).join("")}
+            </details>` : "";
       return `
-        <div class="transaction-item">
-          <div class="transaction-icon ${isIncome ? "income" : "expense"}">${icon}</div>
+        <div class="transaction-item" data-id="${t.id}">
+          <div class="transaction-icon ${kind}"${color ? ` style="border:2px solid ${color};"` : ""}>${icon}</div>
           <div class="transaction-details">
-            <div class="transaction-title">${t.description || (isIncome ? "دخل" : "مصروف")}</div>
-            <div class="transaction-category">${t.category || "أخرى"}${dateChip}</div>
+            <div class="transaction-title">${escapeHtml(title)}</div>
+            <div class="transaction-category">${escapeHtml(subtitle)}${dateChip}</div>${tags ? `
+            <div class="transaction-tags" style="display:flex; gap:4px; flex-wrap:wrap; margin-top:4px;">${tags}
+            </div>` : ""}${splits}${files}
+          </div>
+          <div class="transaction-amount ${kind}">${amountTxt}</div>
+          <div class="transaction-actions" style="display:flex; flex-direction:column; gap:6px;">
+            ${t.debtId ? "" : `<button class="edit-transaction">تعديل</button>`}
+            <button class="delete-transaction">حذف</button>
           </div>
-          <div class="transaction-amount ${isIncome ? "income" : "expense"}">${amountTxt}</div>
         </div>
       `;
     }
 
-    iconForCategory(cat = "") {
-      const map = {
-        "طعام وشراب": "🍔",
-        "النقل": "⛽",
-        "السكن": "🏠",
-        "راتب": "💼",
-      };
-      return map[cat] || "🧾";
+    // الفئة بمعرّفها كما تُخزّن في المعاملات والقوالب والميزانيات
+    categoryOf(categoryId) {
+      return categoryId ? this.store.getCategories().find((c) => c.id === categoryId) || null : null;
+    }
+
+    categoryIcon(categoryId, fallback = "🧾") {
+      return this.categoryOf(categoryId)?.icon || fallback;
+    }
+
+    // لون الفئة، أو لون من اللوحة مشتق من معرّفها (لا يتغير بحذف فئة أخرى أو دمجها) إن لم يكن لها لون
+    // i: لما لا فئة له (مصروف غير مصنف) ليختلف لونه عن جيرانه في المخطط
+    categoryColor(categoryId, i = 0) {
+      const c = this.categoryOf(categoryId);
+      if (c?.color) return c.color;
+      const slot = c ? [...c.id].reduce((h, ch) => (h * 31 + ch.charCodeAt(0)) >>> 0, 0) : i;
+      return CHART_COLORS[slot % CHART_COLORS.length];
+    }
+
+    // <option> للفئات بقيمة المعرّف، مجمّعة حسب النوع ما لم يُحدَّد نوع واحد
+    categoryOptions(type = null, { exclude = null } = {}) {
+      const cats = this.store.getCategories().filter((c) => c.id !== exclude);
+      const option = (c) => `<option value="${c.id}">${c.icon || "🏷️"} ${c.name}</option>`;
+      if (type) return cats.filter((c) => c.type === type).map(option).join("");
+      return [["expense", "مصروف"], ["income", "دخل"]].map(([t, label]) => {
+        const list = cats.filter((c) => c.type === t);
+        return list.length ? `<optgroup label="${label}">${list.map(option).join("")}</optgroup>` : "";
+      }).join("");
     }
 
     mapAccountType(t) {
@@ -662,6 +2732,15 @@
       );
     }
 
+    accountCurrency(id) {
+      return this.store.getAccounts().find((a) => a.id === id)?.currency || "SAR";
+    }
+
+    accountName(id, fallback = "") {
+      const acc = this.store.getAccounts().find((a) => a.id === id);
+      return acc?.name || fallback || "";
+    }
+
     personName(idOrName) {
       const p = this.store.getPeople().find((x) => (x.id || x.name) === idOrName);
       return p?.name || idOrName || "—";
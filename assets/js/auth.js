@@ -0,0 +1,257 @@
+/* auth.js — الرقم السري وجلسة الدخول
+   - الرقم السري (6 أرقام) يُختار في أول تشغيل ولا يُحفظ أبدًا كما هو:
+     نخزّن ملحًا عشوائيًا وتجزئة PBKDF2-SHA256 فقط في localStorage ("<namespace>:auth").
+   - المحاولات الخاطئة تُحسب في السجل نفسه، وبعد MAX_ATTEMPTS يُقفل الدخول مدة تتضاعف مع كل خطأ جديد.
+   - الجلسة في sessionStorage (تنتهي بإغلاق التبويب) وتُقفل تلقائيًا بعد مدة خمول قابلة للضبط.
+   - الصفحات المحمية تحمّل هذا الملف في <head> مع data-guard="<صفحة الدخول>".
+   - الوضع المشفّر: السجل يحمل أيضًا مفتاح البيانات ملفوفًا بالرقم السري (encryption، انظر cipher.js)،
+     والمفتاح لا يُحفظ في الجلسة — لذا تطلب الصفحة المحمية الرقم بنفسها عند كل فتح.
+*/
+
+class PinAuth {
+  static PIN_PATTERN = /^\d{6}$/;
+  static ITERATIONS = 310000;
+  static MAX_ATTEMPTS = 5;            // محاولات خاطئة قبل أول قفل
+  static BASE_LOCK_MS = 30 * 1000;    // أول قفل 30 ثانية ثم يتضاعف
+  static MAX_LOCK_MS = 60 * 60 * 1000;
+  static DEFAULT_AUTO_LOCK_MINUTES = 5;
+
+  constructor(namespace = "QB-Finance") {
+    this.ns = namespace;
+    this.key = `${namespace}:auth`;
+    this.sessionKey = `${namespace}:session`;
+  }
+
+  // =============== السجل ===============
+  _record() {
+    try {
+      return JSON.parse(localStorage.getItem(this.key)) || null;
+    } catch {
+      return null;
+    }
+  }
+
+  _save(record) {
+    localStorage.setItem(this.key, JSON.stringify(record));
+  }
+
+  hasPin() {
+    return !!this._record()?.hash;
+  }
+
+  // =============== التجزئة ===============
+  _toBase64(bytes) {
+    return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+  }
+
+  _fromBase64(str) {
+    return Uint8Array.from(atob(str), (c) => c.charCodeAt(0));
+  }
+
+  async _hash(pin, salt, iterations) {
+    const material = await crypto.subtle.importKey("raw", new TextEncoder().encode(pin), "PBKDF2", false, ["deriveBits"]);
+    const bits = await crypto.subtle.deriveBits({ name: "PBKDF2", hash: "SHA-256", salt, iterations }, material, 256);
+    return this._toBase64(bits);
+  }
+
+  // مقارنة بزمن ثابت لا يكشف موضع أول اختلاف
+  _equal(a, b) {
+    if (a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    return diff === 0;
+  }
+
+  _validate(pin) {
+    if (!PinAuth.PIN_PATTERN.test(String(pin || ""))) throw new Error("الرقم السري يجب أن يكون 6 أرقام");
+  }
+
+  // يحفظ رقمًا سريًا جديدًا (ملح جديد في كل مرة) مع إبقاء إعداد القفل التلقائي والتشفير
+  async _store(pin, encryption = this._record()?.encryption || null) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iterations = PinAuth.ITERATIONS;
+    const prev = this._record() || {};
+    this._save({
+      v: 1,
+      salt: this._toBase64(salt),
+      hash: await this._hash(pin, salt, iterations),
+      iterations,
+      failures: 0,
+      lockedUntil: 0,
+      autoLockMinutes: prev.autoLockMinutes ?? PinAuth.DEFAULT_AUTO_LOCK_MINUTES,
+      encryption,
+      updatedAt: new Date().toISOString(),
+    });
+  }
+
+  // أول تشغيل فقط — بعدها يُستخدم changePin
+  async setPin(pin) {
+    if (this.hasPin()) throw new Error("الرقم السري مُعيّن مسبقًا");
+    this._validate(pin);
+    await this._store(pin);
+  }
+
+  async changePin(currentPin, nextPin) {
+    this._validate(nextPin);
+    const result = await this.verify(currentPin);
+    if (!result.ok) throw new Error(result.lockedUntil ? "تم إيقاف المحاولات مؤقتًا" : "الرقم السري الحالي غير صحيح");
+    // مفتاح البيانات يُعاد لفّه بالرقم الجديد دون إعادة تشفير البيانات
+    const encryption = this._record()?.encryption;
+    await this._store(nextPin, encryption ? await DataCipher.rewrap(encryption, currentPin, nextPin) : null);
+  }
+
+  // =============== التشفير ===============
+  isEncrypted() {
+    return !!this._record()?.encryption;
+  }
+
+  // التحقق من الرقم ثم فتح مفتاح البيانات → { ok, cipher, attemptsLeft, lockedUntil }
+  async unlock(pin) {
+    const result = await this.verify(pin);
+    if (!result.ok || !this.isEncrypted()) return { ...result, cipher: null };
+    return { ...result, cipher: await DataCipher.unwrap(pin, this._record().encryption) };
+  }
+
+  // مفتاح بيانات جديد ملفوف بالرقم → { cipher, wrapped } — لا يُحفظ حتى تتحول البيانات (انظر saveEncryption)
+  async prepareEncryption(pin) {
+    const result = await this.verify(pin);
+    if (!result.ok) throw new Error(result.lockedUntil ? "تم إيقاف المحاولات مؤقتًا" : "الرقم السري غير صحيح");
+    return DataCipher.create(pin);
+  }
+
+  // يُستدعى فقط بعد تشفير كل البيانات بالمفتاح، وإلا بقي السجل يشير إلى بيانات غير مشفّرة
+  saveEncryption(wrapped) {
+    const record = this._record();
+    if (record) this._save({ ...record, encryption: wrapped });
+  }
+
+  // يُستدعى فقط بعد فك تشفير كل البيانات، وإلا ضاع المفتاح معها
+  clearEncryption() {
+    const record = this._record();
+    if (record) this._save({ ...record, encryption: null });
+  }
+
+  // =============== التحقق والقفل ===============
+  // مدة القفل بعد عدد معيّن من الأخطاء: 0 قبل MAX_ATTEMPTS ثم 30ث، 60ث، 120ث… حتى ساعة
+  static lockDuration(failures) {
+    if (failures < PinAuth.MAX_ATTEMPTS) return 0;
+    return Math.min(PinAuth.BASE_LOCK_MS * 2 ** (failures - PinAuth.MAX_ATTEMPTS), PinAuth.MAX_LOCK_MS);
+  }
+
+  // المتبقي من القفل الحالي بالمللي ثانية (0 = غير مقفل)
+  lockRemaining(now = Date.now()) {
+    return Math.max(0, (this._record()?.lockedUntil || 0) - now);
+  }
+
+  // → { ok, attemptsLeft, lockedUntil } — أثناء القفل لا يُفحص الرقم أصلًا
+  async verify(pin) {
+    const record = this._record();
+    if (!record?.hash) return { ok: false, attemptsLeft: 0, lockedUntil: 0 };
+    if (this.lockRemaining()) return { ok: false, attemptsLeft: 0, lockedUntil: record.lockedUntil };
+
+    const hash = await this._hash(String(pin || ""), this._fromBase64(record.salt), record.iterations);
+    // إعادة القراءة: قد يكون تبويب آخر سجّل محاولة أثناء التجزئة
+    const current = this._record() || record;
+    if (this._equal(hash, record.hash)) {
+      this._save({ ...current, failures: 0, lockedUntil: 0 });
+      return { ok: true, attemptsLeft: PinAuth.MAX_ATTEMPTS, lockedUntil: 0 };
+    }
+
+    const failures = (current.failures || 0) + 1;
+    const lock = PinAuth.lockDuration(failures);
+    const lockedUntil = lock ? Date.now() + lock : 0;
+    this._save({ ...current, failures, lockedUntil });
+    return { ok: false, attemptsLeft: Math.max(0, PinAuth.MAX_ATTEMPTS - failures), lockedUntil };
+  }
+
+  // =============== الجلسة ===============
+  getAutoLockMinutes() {
+    return this._record()?.autoLockMinutes ?? PinAuth.DEFAULT_AUTO_LOCK_MINUTES;
+  }
+
+  // 0 = بلا قفل تلقائي
+  setAutoLockMinutes(minutes) {
+    const record = this._record();
+    if (!record) return;
+    this._save({ ...record, autoLockMinutes: Math.max(0, Number(minutes) || 0) });
+  }
+
+  startSession() {
+    sessionStorage.setItem(this.sessionKey, JSON.stringify({ lastActive: Date.now() }));
+  }
+
+  endSession() {
+    sessionStorage.removeItem(this.sessionKey);
+  }
+
+  // جلسة قائمة ولم تتجاوز مدة الخمول
+  isAuthenticated(now = Date.now()) {
+    if (!this.hasPin()) return false;
+    let session = null;
+    try {
+      session = JSON.parse(sessionStorage.getItem(this.sessionKey));
+    } catch {
+      session = null;
+    }
+    if (!session?.lastActive) return false;
+    const idle = this.getAutoLockMinutes() * 60 * 1000;
+    return !idle || now - session.lastActive < idle;
+  }
+
+  touch() {
+    if (sessionStorage.getItem(this.sessionKey)) this.startSession();
+  }
+
+  // قفل فوري والعودة لصفحة الدخول (reason يظهر هناك كرسالة)
+  lock(loginUrl = "index.html", reason = "") {
+    this.endSession();
+    location.replace(reason ? `${loginUrl}?locked=${reason}` : loginUrl);
+  }
+
+  // حماية صفحة: تحويل غير المسجّل فورًا، ثم مراقبة الخمول
+  // في الوضع المشفّر تبقى الصفحة وتعرض شاشة فك القفل (انظر FinanceApp.unlock) ثم تستدعي watch
+  guard(loginUrl = "index.html") {
+    if (this.isEncrypted()) return false;
+    if (!this.isAuthenticated()) {
+      this.lock(loginUrl, this.hasPin() && sessionStorage.getItem(this.sessionKey) ? "idle" : "");
+      return false;
+    }
+    this.watch(loginUrl);
+    return true;
+  }
+
+  // مراقبة الخمول في الصفحة الحالية (مرة واحدة)
+  watch(loginUrl = "index.html") {
+    if (this._watching) return;
+    this._watching = true;
+    this.touch();
+
+    // تحديث آخر نشاط (مرة كل 10 ثوانٍ على الأكثر)
+    let last = Date.now();
+    const onActivity = () => {
+      if (Date.now() - last < 10 * 1000) return;
+      if (!this.isAuthenticated()) return this.lock(loginUrl, "idle");
+      last = Date.now();
+      this.touch();
+    };
+    ["pointerdown", "keydown", "wheel", "touchstart"].forEach((type) =>
+      document.addEventListener(type, onActivity, { passive: true, capture: true }));
+
+    // فحص دوري + عند العودة للتبويب (بعد سكون الجهاز مثلًا)
+    const check = () => {
+      if (!this.isAuthenticated()) this.lock(loginUrl, "idle");
+    };
+    setInterval(check, 15 * 1000);
+    document.addEventListener("visibilitychange", () => {
+      if (document.visibilityState === "visible") check();
+    });
+  }
+}
+
+window.PinAuth = PinAuth;
+
+// <script src="auth.js" data-guard="index.html"> يحمي الصفحة تلقائيًا بالرقم السري للملف الشخصي النشط
+if (document.currentScript?.dataset.guard) {
+  window.pinAuth = new PinAuth(new ProfileRegistry().authNamespace());
+  window.pinAuth.guard(document.currentScript.dataset.guard);
+}
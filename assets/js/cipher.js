@@ -0,0 +1,128 @@
+/* cipher.js — تشفير AES-GCM عبر WebCrypto
+   - مفتاح البيانات (DEK) عشوائي ولا يغادر الذاكرة أبدًا بصيغة مقروءة؛
+     يُحفظ "ملفوفًا" (wrapKey) بمفتاح مشتق من الرقم السري بـ PBKDF2، فتغيير الرقم يعيد لفّه فقط.
+   - القيم المشفرة تُخزن كظرف JSON: { enc: "AES-GCM", iv, ct } (base64)
+   - النسخ الاحتياطية المحمية بكلمة مرور: { format: "QB-Finance-encrypted", salt, iterations, iv, ct }
+*/
+
+class DataCipher {
+  static ITERATIONS = 310000;
+  static BACKUP_FORMAT = "QB-Finance-encrypted";
+
+  // key: CryptoKey من نوع AES-GCM (غير قابل للاستخراج)
+  constructor(key) {
+    this.key = key;
+  }
+
+  // =============== أدوات ===============
+  static toBase64(bytes) {
+    const arr = new Uint8Array(bytes);
+    let bin = "";
+    for (let i = 0; i < arr.length; i += 0x8000) bin += String.fromCharCode(...arr.subarray(i, i + 0x8000));
+    return btoa(bin);
+  }
+
+  static fromBase64(str) {
+    return Uint8Array.from(atob(str), (c) => c.charCodeAt(0));
+  }
+
+  static isEnvelope(value) {
+    return !!value && typeof value === "object" && value.enc === "AES-GCM" && typeof value.ct === "string";
+  }
+
+  static isProtectedBackup(payload) {
+    return !!payload && payload.format === DataCipher.BACKUP_FORMAT && typeof payload.ct === "string";
+  }
+
+  // مفتاح من كلمة مرور/رقم سري: usages = ["encrypt","decrypt"] أو ["wrapKey","unwrapKey"]
+  static async deriveKey(password, salt, iterations, usages) {
+    const material = await crypto.subtle.importKey("raw", new TextEncoder().encode(String(password)), "PBKDF2", false, ["deriveKey"]);
+    return crypto.subtle.deriveKey(
+      { name: "PBKDF2", hash: "SHA-256", salt, iterations },
+      material,
+      { name: "AES-GCM", length: 256 },
+      false,
+      usages,
+    );
+  }
+
+  // =============== التشفير ===============
+  async encryptBytes(bytes) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const ct = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, this.key, bytes);
+    return { iv, ct };
+  }
+
+  // يرمي خطأ إن كان المفتاح خاطئًا أو البيانات معدّلة (GCM يتحقق من السلامة)
+  async decryptBytes(iv, ct) {
+    return crypto.subtle.decrypt({ name: "AES-GCM", iv }, this.key, ct);
+  }
+
+  async encrypt(value) {
+    const { iv, ct } = await this.encryptBytes(new TextEncoder().encode(JSON.stringify(value)));
+    return { enc: "AES-GCM", iv: DataCipher.toBase64(iv), ct: DataCipher.toBase64(ct) };
+  }
+
+  async decrypt(envelope) {
+    const plain = await this.decryptBytes(DataCipher.fromBase64(envelope.iv), DataCipher.fromBase64(envelope.ct));
+    return JSON.parse(new TextDecoder().decode(plain));
+  }
+
+  // =============== مفتاح البيانات الملفوف ===============
+  // مفتاح بيانات جديد ملفوف بالرقم السري → { cipher, wrapped: { salt, iterations, iv, key } }
+  static async create(pin) {
+    const dek = await crypto.subtle.generateKey({ name: "AES-GCM", length: 256 }, true, ["encrypt", "decrypt"]);
+    const wrapped = await DataCipher._wrap(dek, pin);
+    return { cipher: await DataCipher.unwrap(pin, wrapped), wrapped };
+  }
+
+  static async _wrap(dek, pin) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const kek = await DataCipher.deriveKey(pin, salt, DataCipher.ITERATIONS, ["wrapKey", "unwrapKey"]);
+    const key = await crypto.subtle.wrapKey("raw", dek, kek, { name: "AES-GCM", iv });
+    return { salt: DataCipher.toBase64(salt), iterations: DataCipher.ITERATIONS, iv: DataCipher.toBase64(iv), key: DataCipher.toBase64(key) };
+  }
+
+  static async _unwrapKey(pin, wrapped, extractable) {
+    const kek = await DataCipher.deriveKey(pin, DataCipher.fromBase64(wrapped.salt), wrapped.iterations, ["wrapKey", "unwrapKey"]);
+    return crypto.subtle.unwrapKey(
+      "raw",
+      DataCipher.fromBase64(wrapped.key),
+      kek,
+      { name: "AES-GCM", iv: DataCipher.fromBase64(wrapped.iv) },
+      { name: "AES-GCM", length: 256 },
+      extractable,
+      ["encrypt", "decrypt"],
+    );
+  }
+
+  // فتح مفتاح البيانات بالرقم السري (يرمي خطأ إن كان الرقم خاطئًا)
+  static async unwrap(pin, wrapped) {
+    return new DataCipher(await DataCipher._unwrapKey(pin, wrapped, false));
+  }
+
+  // إعادة لفّ المفتاح نفسه برقم جديد — البيانات المشفرة لا تتغير
+  static async rewrap(wrapped, currentPin, nextPin) {
+    return DataCipher._wrap(await DataCipher._unwrapKey(currentPin, wrapped, true), nextPin);
+  }
+
+  // =============== نسخ احتياطية بكلمة مرور ===============
+  static async protect(value, password) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const cipher = new DataCipher(await DataCipher.deriveKey(password, salt, DataCipher.ITERATIONS, ["encrypt", "decrypt"]));
+    const { iv, ct } = await cipher.encrypt(value);
+    return { format: DataCipher.BACKUP_FORMAT, v: 1, salt: DataCipher.toBase64(salt), iterations: DataCipher.ITERATIONS, iv, ct };
+  }
+
+  static async unprotect(payload, password) {
+    const key = await DataCipher.deriveKey(password, DataCipher.fromBase64(payload.salt), payload.iterations, ["encrypt", "decrypt"]);
+    try {
+      return await new DataCipher(key).decrypt(payload);
+    } catch {
+      throw new Error("كلمة المرور غير صحيحة أو الملف تالف");
+    }
+  }
+}
+
+window.DataCipher = DataCipher;
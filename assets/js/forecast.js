@@ -0,0 +1,286 @@
+/* forecast.js — توقع التدفق النقدي فوق FinanceStorage
+   يجمع الحركات المستقبلية المعروفة ثم يُسقطها يومًا بيوم على أرصدة الحسابات:
+     - المعاملات المتكررة (القادمة والمعلّقة بانتظار التأكيد)
+     - استحقاقات الديون وأقساطها غير المدفوعة
+     - المساهمات الشهرية اللازمة لبلوغ أهداف الادخار في موعدها
+     - أنماط منتظمة مكتشفة في سجل المعاملات (راتب، إيجار، اشتراك…)
+   كل المبالغ بعملة الحساب المعني، والإجمالي اليومي بالعملة الأساسية.
+*/
+
+class CashFlowForecast {
+  static MIN_DAYS = 30;
+  static MAX_DAYS = 90;
+
+  // فترات الأنماط المكتشفة: الاسم → [أدنى، أقصى] فاصل بالأيام
+  static PATTERN_PERIODS = { weekly: [6, 8], biweekly: [13, 16], monthly: [27, 33] };
+
+  constructor(store) {
+    this.store = store;
+  }
+
+  // days: أفق التوقع (بين 30 و90 يومًا) — threshold: حد "الرصيد المنخفض" لكل حساب
+  // يُرجع { from, to, items, daily, accounts, warnings, nextIncome }
+  project({ days = CashFlowForecast.MIN_DAYS, threshold = 0, today = null } = {}) {
+    const from = today || new Date().toISOString().split("T")[0];
+    const span = Math.min(CashFlowForecast.MAX_DAYS, Math.max(CashFlowForecast.MIN_DAYS, parseInt(days, 10) || 0));
+    const to = this._addDays(from, span);
+    const limit = parseFloat(threshold) || 0;
+
+    const accounts = this.store.getAccounts();
+    const known = new Set(accounts.map((a) => a.id));
+    const items = this.collectItems(from, to)
+      .filter((i) => known.has(i.accountId) && i.amount)
+      .sort((a, b) => a.date.localeCompare(b.date) || b.amount - a.amount);
+
+    // معامل التحويل للعملة الأساسية لكل حساب (بلا سعر = يُستبعد من الإجمالي)
+    const base = this.store.getBaseCurrency();
+    const factor = {};
+    for (const a of accounts) {
+      try {
+        factor[a.id] = this.store.convert(1, a.currency || FinanceStorage.PIVOT_CURRENCY, base, from);
+      } catch {
+        factor[a.id] = 0;
+      }
+    }
+
+    const balances = Object.fromEntries(accounts.map((a) => [a.id, parseFloat(a.balance) || 0]));
+    const summary = new Map(accounts.map((a) => [a.id, {
+      accountId: a.id,
+      name: a.name,
+      currency: a.currency || FinanceStorage.PIVOT_CURRENCY,
+      type: a.type,
+      start: balances[a.id],
+      end: balances[a.id],
+      min: balances[a.id],
+      minDate: from,
+      firstLowDate: balances[a.id] < limit ? from : null,
+    }]));
+
+    const byDate = new Map();
+    for (const i of items) byDate.set(i.date, [...(byDate.get(i.date) || []), i]);
+
+    const daily = [];
+    for (let d = 0; d <= span; d++) {
+      const date = this._addDays(from, d);
+      const dayItems = byDate.get(date) || [];
+      for (const i of dayItems) {
+        balances[i.accountId] = Math.round((balances[i.accountId] + i.amount) * 100) / 100;
+        i.balanceAfter = balances[i.accountId];
+      }
+      for (const s of summary.values()) {
+        const bal = balances[s.accountId];
+        s.end = bal;
+        if (bal < s.min) { s.min = bal; s.minDate = date; }
+        if (bal < limit && !s.firstLowDate) s.firstLowDate = date;
+      }
+      const total = accounts.reduce((sum, a) => sum + balances[a.id] * factor[a.id], 0);
+      daily.push({ date, balances: { ...balances }, total: Math.round(total * 100) / 100, items: dayItems });
+    }
+
+    // أول دخل متوقع — لمعرفة هل ينخفض الرصيد قبل الراتب القادم
+    const nextIncome = items.find((i) => i.kind === "income") || null;
+
+    // بطاقات الائتمان سالبة بطبيعتها فلا تُنبَّه
+    const warnings = [...summary.values()]
+      .filter((s) => s.type !== "credit" && s.firstLowDate)
+      .map((s) => ({
+        accountId: s.accountId,
+        name: s.name,
+        currency: s.currency,
+        date: s.firstLowDate,
+        balance: daily.find((x) => x.date === s.firstLowDate).balances[s.accountId],
+        min: s.min,
+        minDate: s.minDate,
+        level: s.min < 0 ? "negative" : "low",
+        beforeIncome: !!nextIncome && s.firstLowDate < nextIncome.date,
+      }))
+      .sort((a, b) => a.date.localeCompare(b.date));
+
+    return { from, to, days: span, threshold: limit, base, items, daily, accounts: [...summary.values()], warnings, nextIncome };
+  }
+
+  // كل الحركات المتوقعة بين from وto (شاملًا)
+  collectItems(from, to) {
+    return [
+      ...this._recurringItems(from, to),
+      ...this._debtItems(from, to),
+      ...this._savingsItems(from, to),
+      ...this._patternItems(from, to),
+    ];
+  }
+
+  // ---------- المعاملات المتكررة ----------
+  // المعلّقة والمتأخرة تُحتسب اليوم لأنها لم تُسجَّل بعد
+  _recurringItems(from, to) {
+    const occurrences = [
+      ...this.store.getPendingOccurrences(),
+      ...this.store.getUpcomingOccurrences(to),
+    ];
+    return occurrences.flatMap(({ recurringId, date, template: r }) =>
+      this._legs(r, date < from ? from : date, { source: "recurring", refId: recurringId, label: r.description || r.category || "معاملة متكررة" })
+    );
+  }
+
+  // ---------- الديون ----------
+  // المستحق على المستخدم والمتأخر منه يُحتسب اليوم؛ المتأخر لصالحه لا يُفترض تحصيله
+  _debtItems(from, to) {
+    const people = new Map(this.store.getPeople().map((p) => [p.id, p.name]));
+    const out = [];
+    for (const d of this.store.getDebts()) {
+      if (d.remaining <= 0 || !d.accountId) continue;
+      const toMe = d.type === "to-me";
+      const dues = d.schedule
+        ? d.schedule.filter((i) => !i.paid).map((i) => ({ date: i.dueDate, amount: i.amount, n: i.n }))
+        : (d.dueDate ? [{ date: d.dueDate, amount: d.remaining }] : []);
+      let left = d.remaining;
+      for (const due of dues) {
+        const amount = Math.min(parseFloat(due.amount) || 0, left);
+        left -= amount;
+        if (amount <= 0 || due.date > to) continue;
+        if (due.date < from && toMe) continue;
+        const who = people.get(d.personId) || "";
+        out.push({
+          date: due.date < from ? from : due.date,
+          accountId: d.accountId,
+          amount: toMe ? amount : -amount,
+          kind: toMe ? "income" : "expense",
+          source: "debt",
+          refId: d.id,
+          label: `${toMe ? "تحصيل دين" : "سداد دين"}${who ? ` — ${who}` : ""}${due.n ? ` (قسط ${due.n})` : ""}`,
+          overdue: due.date < from,
+        });
+      }
+    }
+    return out;
+  }
+
+  // ---------- أهداف الادخار ----------
+  // المساهمة الشهرية اللازمة في أول كل شهر حتى التاريخ المستهدف،
+  // من آخر حساب سُحبت منه مساهمة (الأهداف المرتبطة بحساب تتبع رصيده فلا تُحتسب)
+  _savingsItems(from, to) {
+    const out = [];
+    for (const g of this.store.getSavingsGoals(from)) {
+      if (g.linkedAccount || !g.monthlyNeeded || g.remaining <= 0 || !g.targetDate || g.targetDate < from) continue;
+      const source = [...(g.history || [])].reverse().find((h) => h.type === "contribution" && h.accountId);
+      if (!source) continue;
+      const end = g.targetDate < to ? g.targetDate : to;
+      let left = g.remaining;
+      for (let date = this._firstOfNextMonth(from); date <= end && left > 0; date = this._firstOfNextMonth(date)) {
+        const amount = Math.min(g.monthlyNeeded, left);
+        left -= amount;
+        out.push({ date, accountId: source.accountId, amount: -amount, kind: "expense", source: "savings", refId: g.id, label: `ادخار — ${g.name}` });
+      }
+    }
+    return out;
+  }
+
+  // ---------- الأنماط المكتشفة ----------
+  _patternItems(from, to) {
+    const out = [];
+    for (const p of this.detectPatterns(from)) {
+      const anchor = Number(p.lastDate.split("-")[2]);
+      for (let date = this._step(p.lastDate, p.period, anchor); date <= to; date = this._step(date, p.period, anchor)) {
+        if (date < from) continue;
+        out.push({
+          date,
+          accountId: p.accountId,
+          amount: p.type === "income" ? p.amount : -p.amount,
+          kind: p.type,
+          source: "pattern",
+          refId: p.key,
+          label: p.label,
+        });
+      }
+    }
+    return out;
+  }
+
+  // معاملات دخل/مصروف تتكرر 3 مرات أو أكثر بفواصل منتظمة ولا يغطيها قالب تكرار مسجل
+  // يُرجع [{ key, type, accountId, label, period, amount, lastDate, occurrences }]
+  detectPatterns(today = new Date().toISOString().split("T")[0]) {
+    const keyOf = (t) => [t.type, t.accountId, this._normalize(t.description || t.category)].join("|");
+    const covered = new Set(this.store.getRecurring().map(keyOf));
+    const groups = new Map();
+    for (const t of this.store.getTransactions()) {
+      if (t.recurringId || t.debtId || (t.type !== "income" && t.type !== "expense")) continue;
+      const key = keyOf(t);
+      if (!covered.has(key)) groups.set(key, [...(groups.get(key) || []), t]);
+    }
+
+    const patterns = [];
+    for (const [key, txs] of groups) {
+      if (txs.length < 3) continue;
+      const recent = txs.slice().sort((a, b) => a.date.localeCompare(b.date)).slice(-6);
+      const gaps = recent.slice(1).map((t, i) => this._daysBetween(recent[i].date, t.date));
+      const period = Object.entries(CashFlowForecast.PATTERN_PERIODS)
+        .find(([, [lo, hi]]) => gaps.every((g) => g >= lo && g <= hi))?.[0];
+      if (!period) continue;
+
+      // نمط انقطع (فات عليه أكثر من دورتين) لا يُفترض استمراره
+      const last = recent[recent.length - 1];
+      if (this._daysBetween(last.date, today) > 2 * CashFlowForecast.PATTERN_PERIODS[period][1]) continue;
+
+      const amounts = recent.slice(-3).map((t) => parseFloat(t.accountAmount ?? t.amount) || 0).sort((a, b) => a - b);
+      patterns.push({
+        key,
+        type: last.type,
+        accountId: last.accountId,
+        label: last.description || last.category || (last.type === "income" ? "دخل" : "مصروف"),
+        period,
+        amount: amounts[Math.floor(amounts.length / 2)],
+        lastDate: last.date,
+        occurrences: txs.length,
+      });
+    }
+    return patterns;
+  }
+
+  // ---------- أدوات ----------
+  // حركة (أو حركتان للتحويل) على الحسابات بإشارة الرصيد
+  _legs(r, date, meta) {
+    const amount = parseFloat(r.amount) || 0;
+    if (r.type === "transfer") {
+      return [
+        { ...meta, date, accountId: r.accountId, amount: -amount, kind: "transfer" },
+        { ...meta, date, accountId: r.toAccountId, amount, kind: "transfer" },
+      ];
+    }
+    return [{ ...meta, date, accountId: r.accountId, amount: r.type === "income" ? amount : -amount, kind: r.type }];
+  }
+
+  _normalize(s) {
+    return String(s || "").trim().toLowerCase().replace(/[\d٠-٩]+/g, "").replace(/\s+/g, " ");
+  }
+
+  _parse(iso) {
+    const [y, m, d] = iso.split("-").map(Number);
+    return new Date(Date.UTC(y, m - 1, d));
+  }
+
+  _addDays(iso, n) {
+    const d = this._parse(iso);
+    d.setUTCDate(d.getUTCDate() + n);
+    return d.toISOString().split("T")[0];
+  }
+
+  _daysBetween(fromISO, toISO) {
+    return Math.round((this._parse(toISO) - this._parse(fromISO)) / 86400000);
+  }
+
+  _firstOfNextMonth(iso) {
+    const d = this._parse(iso);
+    return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 1)).toISOString().split("T")[0];
+  }
+
+  // التاريخ التالي للنمط (الشهري يحافظ على يوم anchor مع قصّه لآخر الشهر)
+  _step(iso, period, anchor) {
+    if (period === "weekly") return this._addDays(iso, 7);
+    if (period === "biweekly") return this._addDays(iso, 14);
+    const d = this._parse(iso);
+    const y = d.getUTCFullYear(), m = d.getUTCMonth() + 1;
+    const last = new Date(Date.UTC(y, m + 1, 0)).getUTCDate();
+    return new Date(Date.UTC(y, m, Math.min(anchor, last))).toISOString().split("T")[0];
+  }
+}
+
+window.CashFlowForecast = CashFlowForecast;
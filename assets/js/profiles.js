@@ -0,0 +1,110 @@
+/* profiles.js — الملفات الشخصية (دفاتر منفصلة على الجهاز نفسه)
+   كل ملف له مساحة تخزين مستقلة (namespace) لـ FinanceStorage وPinAuth:
+     - الملف الافتراضي يستخدم "QB-Finance" (بيانات ما قبل الملفات كما هي)
+     - بقية الملفات "QB-Finance-<id>"
+   الملف إما يشارك الرقم السري الرئيسي (وحالة التشفير معه) أو له رقم مستقل يُحدَّد عند الإنشاء.
+   السجل في localStorage ("QB-Finance:profiles"): { active, list: [{ id, name, namespace, ownPin, createdAt }] }
+*/
+
+class ProfileRegistry {
+  static DEFAULT_NAMESPACE = "QB-Finance";
+  static DEFAULT_ID = "default";
+
+  constructor(root = ProfileRegistry.DEFAULT_NAMESPACE) {
+    this.root = root;
+    this.key = `${root}:profiles`;
+  }
+
+  _load() {
+    let data = null;
+    try {
+      data = JSON.parse(localStorage.getItem(this.key));
+    } catch {
+      data = null;
+    }
+    const list = Array.isArray(data?.list) ? data.list : [];
+    if (!list.some((p) => p.id === ProfileRegistry.DEFAULT_ID)) {
+      list.unshift({ id: ProfileRegistry.DEFAULT_ID, name: "شخصي", namespace: this.root, ownPin: false, createdAt: null });
+    }
+    const active = list.some((p) => p.id === data?.active) ? data.active : ProfileRegistry.DEFAULT_ID;
+    return { active, list };
+  }
+
+  _save(data) {
+    localStorage.setItem(this.key, JSON.stringify(data));
+  }
+
+  list() {
+    return this._load().list;
+  }
+
+  get(id) {
+    return this.list().find((p) => p.id === id) || null;
+  }
+
+  active() {
+    const { active, list } = this._load();
+    return list.find((p) => p.id === active);
+  }
+
+  setActive(id) {
+    const data = this._load();
+    if (!data.list.some((p) => p.id === id)) throw new Error("الملف الشخصي غير موجود");
+    this._save({ ...data, active: id });
+  }
+
+  // مساحة PinAuth للملف: مساحته الخاصة إن كان له رقم مستقل، وإلا الرقم الرئيسي
+  authNamespace(profile = this.active()) {
+    return profile?.ownPin ? profile.namespace : this.root;
+  }
+
+  // الملفات التي تشترك في سجل رقم سري واحد (ومفتاح تشفير واحد)
+  sharing(authNamespace) {
+    return this.list().filter((p) => this.authNamespace(p) === authNamespace);
+  }
+
+  _checkName(name, list, exceptId = null) {
+    const clean = String(name || "").trim();
+    if (!clean) throw new Error("اسم الملف الشخصي مطلوب");
+    if (list.some((p) => p.id !== exceptId && p.name.toLowerCase() === clean.toLowerCase())) {
+      throw new Error("يوجد ملف شخصي بهذا الاسم");
+    }
+    return clean;
+  }
+
+  create(name, { ownPin = false } = {}) {
+    const data = this._load();
+    const id = `prf_${Date.now().toString(36)}_${crypto.getRandomValues(new Uint32Array(1))[0].toString(36)}`;
+    const profile = {
+      id,
+      name: this._checkName(name, data.list),
+      namespace: `${this.root}-${id}`,
+      ownPin: !!ownPin,
+      createdAt: new Date().toISOString(),
+    };
+    this._save({ ...data, list: [...data.list, profile] });
+    return profile;
+  }
+
+  rename(id, name) {
+    const data = this._load();
+    const profile = data.list.find((p) => p.id === id);
+    if (!profile) throw new Error("الملف الشخصي غير موجود");
+    profile.name = this._checkName(name, data.list, id);
+    this._save(data);
+    return profile;
+  }
+
+  // إزالة من السجل فقط — حذف البيانات على المستدعي (FinanceStorage.destroy)
+  remove(id) {
+    const data = this._load();
+    if (id === ProfileRegistry.DEFAULT_ID) throw new Error("لا يمكن حذف الملف الشخصي الرئيسي");
+    if (id === data.active) throw new Error("انتقل إلى ملف آخر قبل حذف هذا الملف");
+    const profile = data.list.find((p) => p.id === id);
+    if (!profile) return null;
+    this._save({ ...data, list: data.list.filter((p) => p.id !== id) });
+    return profile;
+  }
+}
+
+window.ProfileRegistry = ProfileRegistry;
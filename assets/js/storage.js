@@ -1,8 +1,276 @@
 /* storage.js — طبقة التخزين والمنطق الأساسي */
 
 class FinanceStorage {
-  constructor(namespace = "QB-Finance") {
+  // إصدار مخطط البيانات الحالي — ارفعه مع كل ترحيل جديد في MIGRATIONS
+  static SCHEMA_VERSION = 9;
+
+  // ترحيلات مرتبة: كل ترحيل ينقل البيانات من إصدار إلى الذي يليه
+  // up(data, store) يستقبل نسخة من كل الجداول ويُرجعها بعد التعديل
+  static MIGRATIONS = [
+    {
+      from: 1,
+      to: 2,
+      description: "سجل الحركات + حقول التحويل في المعاملات",
+      up(data, store) {
+        data.ledger = Array.isArray(data.ledger) ? data.ledger : [];
+        data.transactions = (data.transactions || []).map((t) => ({
+          ...t,
+          toAccountId: t.toAccountId ?? null,
+          toAccountName: t.toAccountName ?? null,
+        }));
+
+        // الإصدار 1 كان يعدّل الأرصدة مباشرة (ديون، ادخار، تعديل يدوي) دون أي سجل،
+        // فنسجّل الفرق بين المخزّن والمحسوب كتسوية واحدة لكل حساب حتى يطابق السجلُّ الأرصدةَ
+        const computed = {};
+        for (const a of data.accounts || []) computed[a.id] = store._parseAmount(a.initialBalance);
+        for (const t of data.transactions) {
+          for (const [accountId, delta] of store._transactionDeltas(t)) {
+            if (accountId in computed) computed[accountId] += delta;
+          }
+        }
+        for (const m of data.ledger) {
+          if (m.accountId in computed) computed[m.accountId] += store._parseAmount(m.amount);
+        }
+        for (const a of data.accounts || []) {
+          const drift = Math.round((store._parseAmount(a.balance) - computed[a.id]) * 100) / 100;
+          if (Math.abs(drift) < 0.01) continue;
+          data.ledger.push({
+            id: store._id("mov"),
+            accountId: a.id,
+            amount: drift,
+            source: "adjustment",
+            refId: null,
+            date: store._todayISO(),
+            note: "تسوية عند الترقية: حركات سابقة لم تُسجَّل",
+            createdAt: new Date().toISOString(),
+          });
+        }
+        return data;
+      },
+    },
+    {
+      from: 2,
+      to: 3,
+      description: "قوالب المعاملات المتكررة",
+      up(data) {
+        data.recurring = Array.isArray(data.recurring) ? data.recurring : [];
+        return data;
+      },
+    },
+    {
+      from: 3,
+      to: 4,
+      description: "ميزانيات الفئات الشهرية",
+      up(data) {
+        data.budgets = Array.isArray(data.budgets) ? data.budgets : [];
+        return data;
+      },
+    },
+    {
+      from: 4,
+      to: 5,
+      description: "عملة لكل حساب ومعاملة + جدول أسعار الصرف",
+      up(data, store) {
+        const pivot = FinanceStorage.PIVOT_CURRENCY;
+        data.rates = Array.isArray(data.rates) ? data.rates : store._defaultRates();
+        data.accounts = (data.accounts || []).map((a) => ({ ...a, currency: a.currency || pivot }));
+        const currencyOf = Object.fromEntries(data.accounts.map((a) => [a.id, a.currency]));
+        data.transactions = (data.transactions || []).map((t) => ({
+          ...t,
+          currency: t.currency || currencyOf[t.accountId] || pivot,
+          accountAmount: t.accountAmount ?? null,
+          toAmount: t.toAmount ?? null,
+        }));
+        data.meta = { ...(data.meta || {}), baseCurrency: data.meta?.baseCurrency || pivot };
+        return data;
+      },
+    },
+    {
+      from: 5,
+      to: 6,
+      description: "أصل الدين وسجل دفعاته كمعاملات مرتبطة",
+      up(data, store) {
+        // حركات السداد/التحصيل في السجل تتحول إلى معاملات بنفس الأثر على الرصيد
+        const ledger = data.ledger || [];
+        const accounts = data.accounts || [];
+        const converted = new Set();
+        const newTxs = [];
+        data.debts = (data.debts || []).map((d) => {
+          if (Array.isArray(d.payments)) return d;
+          const person = (data.people || []).find((p) => p.id === d.personId);
+          const payments = ledger
+            .filter((m) => m.refId === d.id && (m.source === "debt-payment" || m.source === "debt-receipt"))
+            .map((m) => {
+              converted.add(m.id);
+              const acc = accounts.find((a) => a.id === m.accountId);
+              const isReceipt = m.source === "debt-receipt";
+              const tx = {
+                id: store._id("tx"),
+                type: isReceipt ? "income" : "expense",
+                amount: Math.abs(store._parseAmount(m.amount)),
+                currency: acc?.currency || FinanceStorage.PIVOT_CURRENCY,
+                accountAmount: null,
+                toAmount: null,
+                description: store._debtPaymentTitle(isReceipt, person?.name),
+                category: "",
+                accountId: m.accountId,
+                accountName: acc?.name || "",
+                toAccountId: null,
+                toAccountName: null,
+                date: m.date,
+                notes: m.note || "",
+                recurringId: null,
+                debtId: d.id,
+                createdAt: m.createdAt || new Date().toISOString(),
+              };
+              newTxs.push(tx);
+              return { id: store._id("pay"), date: tx.date, amount: tx.amount, accountId: tx.accountId, note: tx.notes, transactionId: tx.id };
+            });
+          // الأصل: حركة إنشاء الدين إن وُجدت، وإلا المتبقي المخزّن + ما دُفع
+          const { amount, ...rest } = d;
+          const opening = ledger.find((m) => m.refId === d.id && m.source === "debt");
+          const paid = payments.reduce((s, p) => s + p.amount, 0);
+          const principal = opening ? Math.abs(store._parseAmount(opening.amount)) : store._parseAmount(amount) + paid;
+          return { ...rest, principal, payments };
+        });
+        data.ledger = ledger.filter((m) => !converted.has(m.id));
+        data.transactions = [...(data.transactions || []), ...newTxs];
+        return data;
+      },
+    },
+    {
+      from: 6,
+      to: 7,
+      description: "تاريخ استحقاق حقيقي للديون",
+      up(data) {
+        // النموذج القديم كان ينسخ تاريخ الدين كتاريخ استحقاق — نعدّه غير محدد
+        data.debts = (data.debts || []).map((d) => ({ ...d, dueDate: d.dueDate && d.dueDate !== d.date ? d.dueDate : "" }));
+        return data;
+      },
+    },
+    {
+      from: 7,
+      to: 8,
+      description: "سجل إيداعات/سحوبات أهداف الادخار والرصيد المشتق منه",
+      up(data, store) {
+        const ledger = data.ledger || [];
+        data.savings = (data.savings || []).map((g) => {
+          if (Array.isArray(g.history)) return g;
+          // الإيداعات السابقة مسجلة كحركات "savings" سالبة على الحسابات
+          const history = ledger
+            .filter((m) => m.source === "savings" && m.refId === g.id)
+            .map((m) => ({
+              id: store._id("sv"),
+              type: m.amount < 0 ? "contribution" : "withdrawal",
+              amount: Math.abs(store._parseAmount(m.amount)),
+              accountId: m.accountId,
+              date: m.date,
+              note: m.note || "",
+              movementId: m.id,
+            }));
+          const { currentAmount, ...rest } = g;
+          const net = history.reduce((s, h) => s + (h.type === "contribution" ? h.amount : -h.amount), 0);
+          // ما لا يفسّره السجل (رصيد افتتاحي أو تعديل يدوي قديم) يصبح رصيدًا ابتدائيًا
+          return { ...rest, startAmount: store._parseAmount(currentAmount) - net, accountId: g.accountId || null, history };
+        });
+        return data;
+      },
+    },
+    {
+      from: 8,
+      to: 9,
+      description: "ربط المعاملات والقوالب والميزانيات بمعرّف الفئة بدل اسمها",
+      up(data, store) {
+        // "#ccc" كان اللون الافتراضي لا اختيار المستخدم — بلا لون تعرض الواجهة لونًا من لوحتها
+        const cats = (data.categories || []).map((c) => ({ ...c, icon: c.icon || "🏷️", color: c.color && c.color !== "#ccc" ? c.color : "" }));
+        // الأسماء التي لا فئة لها (نصوص حرة قديمة) تصبح فئات جديدة
+        const ref = (name, type) => {
+          name = String(name || "").trim();
+          if (!name) return { categoryId: null, category: "" };
+          let c = cats.find((x) => x.name === name && x.type === type);
+          if (!c) {
+            c = { id: store._id("cat"), name, type, icon: "🏷️", color: "" };
+            cats.push(c);
+          }
+          return { categoryId: c.id, category: c.name };
+        };
+        const kind = (type) => (type === "income" ? "income" : "expense");
+        data.transactions = (data.transactions || []).map((t) => ({
+          ...t,
+          ...(t.type === "transfer" ? { categoryId: null, category: "" } : ref(t.category, kind(t.type))),
+          splits: t.splits?.length ? t.splits.map((s) => ({ ...s, ...ref(s.category, kind(t.type)) })) : t.splits ?? null,
+        }));
+        data.recurring = (data.recurring || []).map((r) => ({
+          ...r,
+          ...(r.type === "transfer" ? { categoryId: null, category: "" } : ref(r.category, kind(r.type))),
+        }));
+        data.budgets = (data.budgets || []).map((b) => ({ ...b, ...ref(b.category, "expense") }));
+        data.categories = cats;
+        return data;
+      },
+    },
+  ];
+
+  // العملة المرجعية لجدول الأسعار: كل سعر = كم ريالًا تساوي وحدة واحدة من العملة
+  static PIVOT_CURRENCY = "SAR";
+
+  // الجداول التي تُحفظ وتُصدَّر وتُرحَّل
+  static TABLES = ["accounts", "transactions", "debts", "savings", "categories", "people", "ledger", "recurring", "budgets", "rates"];
+
+  // المحوّل الافتراضي: IndexedDB إن توفر، وإلا localStorage
+  static defaultAdapter(namespace) {
+    if (window.IndexedDBAdapter?.isSupported()) return new IndexedDBAdapter(namespace, FinanceStorage.TABLES);
+    return new LocalStorageAdapter();
+  }
+
+  // مخزن المرفقات الافتراضي: IndexedDB، وإلا الذاكرة (المرفقات لا تُحفظ أبدًا في localStorage)
+  static defaultFileStore(namespace) {
+    if (window.IndexedDBFileStore?.isSupported()) return new IndexedDBFileStore(namespace);
+    console.warn("⚠️ IndexedDB غير متاح — المرفقات لن تبقى بعد إغلاق الصفحة");
+    return new MemoryFileStore();
+  }
+
+  // الوضع المشفّر: المحوّلات الافتراضية نفسها مغلّفة بـ AES-GCM (cipher من DataCipher.unwrap)
+  static withCipher(namespace, cipher) {
+    return new FinanceStorage(
+      namespace,
+      new EncryptedAdapter(FinanceStorage.defaultAdapter(namespace), cipher),
+      new EncryptedFileStore(FinanceStorage.defaultFileStore(namespace), cipher),
+    );
+  }
+
+  // حذف كل بيانات مساحة تخزين (ملف شخصي محذوف): مفاتيح localStorage وقاعدتا IndexedDB
+  static async destroy(namespace) {
+    for (const k of Object.keys(localStorage)) {
+      if (k.startsWith(`${namespace}:`)) localStorage.removeItem(k);
+    }
+    sessionStorage.removeItem(`${namespace}:session`);
+    if (!window.IndexedDBAdapter?.isSupported()) return;
+    for (const name of [namespace, `${namespace}:files`]) {
+      await new Promise((resolve) => {
+        const req = indexedDB.deleteDatabase(name);
+        req.onsuccess = req.onerror = req.onblocked = () => resolve();
+      });
+    }
+  }
+
+  // adapter: كائن بواجهة load/write/remove (انظر adapters.js)
+  // files: مخزن ملفات بواجهة put/get/delete/clear/keys لمرفقات المعاملات
+  // مع محوّل غير متزامن (IndexedDB) يجب انتظار store.ready قبل الاستخدام
+  constructor(namespace = "QB-Finance", adapter = null, files = null) {
     this.ns = namespace;
+    this.adapter = adapter || FinanceStorage.defaultAdapter(namespace);
+    this.files = files || FinanceStorage.defaultFileStore(namespace);
+    this.profile = null;         // { id, name } للملف الشخصي — يُذكر في كل تصدير
+    this.onSaveError = null;     // (err, keys) → تُستدعى عند أول فشل في الحفظ لتعرضه الواجهة
+    this._cache = new Map();     // نسخة الذاكرة من كل المفاتيح — القراءات متزامنة منها
+    this._dirty = new Set();     // مفاتيح تنتظر الحفظ في المحوّل
+    this._flushScheduled = false;
+    this._flushing = Promise.resolve();
+    this._saveFailed = false;    // فشل آخر حفظ — المفاتيح باقية في _dirty وتُعاد المحاولة
+    this._retryTimer = null;
+    this._audit = null;          // العملية المسجّلة الجارية: { before: Map(key → القيمة قبل أول كتابة) }
+    this._auditQueue = Promise.resolve(); // العمليات المسجّلة تُنفَّذ واحدة تلو الأخرى (انظر _serial)
 
     // مفاتيح التخزين
     this.keys = {
@@ -12,25 +280,128 @@ class FinanceStorage {
       savings: `${this.ns}:savings`,
       categories: `${this.ns}:categories`,
       people: `${this.ns}:people`,
+      ledger: `${this.ns}:ledger`, // حركات الأرصدة غير المرتبطة بمعاملات (ديون، ادخار، تسويات)
+      recurring: `${this.ns}:recurring`, // قوالب المعاملات المتكررة
+      budgets: `${this.ns}:budgets`, // ميزانيات الفئات الشهرية
+      rates: `${this.ns}:rates`, // أسعار الصرف المؤرخة مقابل العملة المرجعية
       meta: `${this.ns}:meta`,
+      backup: `${this.ns}:backup`, // نسخة احتياطية تلقائية قبل آخر ترحيل
+      audit: `${this.ns}:audit`, // سجل التغييرات للتراجع والإعادة (لا يُصدَّر ولا يُمسح مع البيانات)
     };
 
-    // تهيئة البيانات إن لم توجد
+    const loaded = this.adapter.load(Object.values(this.keys));
+    this.ready = loaded instanceof Promise
+      ? loaded
+        .catch((err) => {
+          console.warn("⚠️ تعذر فتح التخزين، سيتم استخدام localStorage", err);
+          // لا تراجع إلى تخزين غير مشفّر في الوضع المشفّر
+          const cipher = this.adapter.cipher;
+          this.adapter = cipher ? new EncryptedAdapter(new LocalStorageAdapter(), cipher) : new LocalStorageAdapter();
+          return this.adapter.load(Object.values(this.keys));
+        })
+        .then((data) => this._boot(data))
+      : Promise.resolve(this._boot(loaded));
+  }
+
+  // تهيئة البيانات إن لم توجد ثم ترقية المخطط إن لزم
+  _boot(data) {
+    this._cache = new Map(Object.entries(data || {}));
     this._ensureInit();
+    this._migrateStoredData();
+    return this;
   }
 
   // =============== أدوات عامة ===============
   _read(key, fallback = []) {
-    try {
-      const raw = localStorage.getItem(key);
-      return raw ? JSON.parse(raw) : structuredClone(fallback);
-    } catch {
-      return structuredClone(fallback);
-    }
+    return structuredClone(this._cache.has(key) ? this._cache.get(key) : fallback);
+  }
+
+  _has(key) {
+    return this._cache.has(key);
   }
 
   _write(key, value) {
-    localStorage.setItem(key, JSON.stringify(value));
+    this._captureBefore(key);
+    this._cache.set(key, structuredClone(value));
+    this._dirty.add(key);
+    this._scheduleFlush();
+  }
+
+  _remove(key) {
+    this._captureBefore(key);
+    this._cache.delete(key);
+    this._dirty.add(key);
+    this._scheduleFlush();
+  }
+
+  // تجميع الكتابات المتتالية لنفس المفتاح في حفظ واحد بعد انتهاء العملية الحالية
+  _scheduleFlush() {
+    if (this._flushScheduled) return;
+    this._flushScheduled = true;
+    queueMicrotask(() => {
+      this._flushScheduled = false;
+      this.flush().catch(() => {}); // الخطأ يصل عبر onSaveError
+    });
+  }
+
+  // حفظ كل التغييرات المعلقة في المحوّل — يُرجع Promise تكتمل بعد الحفظ أو تُرفض إن تعذر
+  // ما فشل حفظه يبقى في _dirty ويُعاد بعد FLUSH_RETRY_MS (الذاكرة تبقى المرجع حتى ينجح)
+  flush() {
+    const keys = [...this._dirty];
+    this._dirty.clear();
+    const run = this._flushing.then(async () => {
+      const failed = [];
+      let error = null;
+      for (const k of keys) {
+        try {
+          if (this._cache.has(k)) await this.adapter.write(k, this._cache.get(k));
+          else await this.adapter.remove(k);
+        } catch (err) {
+          failed.push(k);
+          error = err;
+        }
+      }
+      if (!failed.length) {
+        this._saveFailed = false;
+        return;
+      }
+      for (const k of failed) this._dirty.add(k);
+      this._retryFlush();
+      if (!this._saveFailed) this.onSaveError?.(error, failed);
+      this._saveFailed = true;
+      throw error;
+    });
+    this._flushing = run.catch(() => {});
+    return run;
+  }
+
+  static FLUSH_RETRY_MS = 10000;
+
+  _retryFlush() {
+    if (this._retryTimer) return;
+    this._retryTimer = setTimeout(() => {
+      this._retryTimer = null;
+      if (this._dirty.size) this.flush().catch(() => {});
+    }, FinanceStorage.FLUSH_RETRY_MS);
+  }
+
+  isEncrypted() {
+    return !!this.adapter.cipher;
+  }
+
+  // تفعيل التشفير (cipher) أو إلغاؤه (null): إعادة كتابة كل المفاتيح والمرفقات بالمحوّل الجديد
+  async setEncryption(cipher) {
+    await this.ready;
+    await this.flush();
+    const adapter = cipher ? new EncryptedAdapter(this.adapter.inner || this.adapter, cipher) : (this.adapter.inner || this.adapter);
+    const files = cipher ? new EncryptedFileStore(this.files.inner || this.files, cipher) : (this.files.inner || this.files);
+    for (const id of await this.files.keys()) {
+      const blob = await this.files.get(id);
+      if (blob) await files.put(id, blob);
+    }
+    for (const [key, value] of this._cache) await adapter.write(key, value);
+    this.adapter = adapter;
+    this.files = files;
   }
 
   _id(prefix = "id") {
@@ -43,14 +414,23 @@ class FinanceStorage {
   }
 
   _parseAmount(v) {
-    const n = typeof v === "number" ? v : parseFloat(String(v).replace(/[^\d.-]/g, ""));
+    const n = typeof v === "number" ? v : parseFloat(this._normalizeDigits(v).replace(/[^\d.-]/g, ""));
     return isFinite(n) ? n : 0;
   }
 
+  // تحويل الأرقام العربية-الهندية (٠١٢…) والفواصل العربية إلى صيغة لاتينية
+  _normalizeDigits(v) {
+    return String(v ?? "")
+      .replace(/[\u0660-\u0669]/g, (d) => d.charCodeAt(0) - 0x0660)
+      .replace(/[\u06F0-\u06F9]/g, (d) => d.charCodeAt(0) - 0x06F0)
+      .replace(/\u066B/g, ".")
+      .replace(/\u066C/g, ",");
+  }
+
   // =============== تهيئة أولية ===============
   _ensureInit() {
     // فئات افتراضية
-    if (!localStorage.getItem(this.keys.categories)) {
+    if (!this._has(this.keys.categories)) {
       const defaults = [
         { id: this._id("cat"), name: "راتب", type: "income", icon: "💼", color: "#16a34a" },
         { id: this._id("cat"), name: "طعام وشراب", type: "expense", icon: "🍔", color: "#f97316" },
@@ -62,12 +442,13 @@ class FinanceStorage {
     }
 
     // حساب نقدي افتراضي
-    if (!localStorage.getItem(this.keys.accounts)) {
+    if (!this._has(this.keys.accounts)) {
       const defaults = [
         {
           id: this._id("acc"),
           name: "محفظة نقدية",
           type: "cash", // cash | bank | credit | savings
+          currency: FinanceStorage.PIVOT_CURRENCY,
           initialBalance: 0,
           balance: 0,
           createdAt: new Date().toISOString(),
@@ -76,37 +457,742 @@ class FinanceStorage {
       this._write(this.keys.accounts, defaults);
     }
 
+    // أسعار صرف أولية للعملات المربوطة بالدولار (قابلة للتعديل)
+    if (!this._has(this.keys.rates)) this._write(this.keys.rates, this._defaultRates());
+
     // جداول فارغة عند الحاجة
-    for (const k of ["transactions", "debts", "savings", "people"]) {
-      if (!localStorage.getItem(this.keys[k])) this._write(this.keys[k], []);
+    for (const k of ["transactions", "debts", "savings", "people", "ledger", "recurring", "budgets"]) {
+      if (!this._has(this.keys[k])) this._write(this.keys[k], []);
+    }
+
+    if (!this._has(this.keys.meta)) {
+      this._write(this.keys.meta, {
+        createdAt: new Date().toISOString(),
+        schema: FinanceStorage.SCHEMA_VERSION,
+        baseCurrency: FinanceStorage.PIVOT_CURRENCY,
+      });
+    }
+  }
+
+  // =============== الترحيل بين إصدارات المخطط ===============
+  _schemaOf(meta) {
+    const v = parseInt(meta?.schema, 10);
+    return isFinite(v) && v > 0 ? v : 1;
+  }
+
+  // نسخة من كل الجداول + meta
+  _snapshot() {
+    const data = { meta: this._read(this.keys.meta, {}) };
+    for (const t of FinanceStorage.TABLES) data[t] = this._read(this.keys[t], []);
+    return data;
+  }
+
+  _writeSnapshot(data) {
+    for (const t of FinanceStorage.TABLES) this._write(this.keys[t], data[t] || []);
+    this._write(this.keys.meta, data.meta || {});
+  }
+
+  // تطبيق الترحيلات خطوة بخطوة على كائن بيانات (مخزّن أو مستورد)
+  migrateData(data) {
+    const from = this._schemaOf(data?.meta);
+    const target = FinanceStorage.SCHEMA_VERSION;
+    if (from > target) throw new Error(`البيانات من إصدار أحدث (${from}) من التطبيق (${target})`);
+
+    let out = structuredClone(data);
+    let version = from;
+    while (version < target) {
+      const step = FinanceStorage.MIGRATIONS.find((m) => m.from === version);
+      if (!step) throw new Error(`لا يوجد ترحيل من الإصدار ${version}`);
+      out = step.up(out, this);
+      version = step.to;
+    }
+    out.meta = { ...(out.meta || {}), schema: version };
+    if (version !== from) out.meta.migratedAt = new Date().toISOString();
+    return { data: out, from, to: version };
+  }
+
+  _migrateStoredData() {
+    const current = this._snapshot();
+    const from = this._schemaOf(current.meta);
+    if (from === FinanceStorage.SCHEMA_VERSION) return;
+    if (from > FinanceStorage.SCHEMA_VERSION) {
+      console.warn(`⚠️ مخطط البيانات (${from}) أحدث من التطبيق — لن يتم الترحيل`);
+      return;
+    }
+
+    // نسخة احتياطية قبل أي تعديل
+    this._write(this.keys.backup, { ...current, backedUpAt: new Date().toISOString() });
+
+    const { data } = this.migrateData(current);
+    this._writeSnapshot(data);
+  }
+
+  getMigrationBackup() {
+    return this._read(this.keys.backup, null);
+  }
+
+  // =============== سجل التغييرات (تدقيق + تراجع/إعادة) ===============
+  // كل عملية عامة في AUDITED تُغلَّف بـ _track (أسفل الملف): الكتابات أثناءها تُجمع في قيد واحد
+  // { id, at, op, changes: [{ key, id, before, after }], undone, revertOf, revertedBy }
+  // key: اسم الجدول (والتغيير لسجل واحد id) أو "meta" (حقلًا حقلًا: field = "baseCurrency" أو "settings.x")؛ null = غير موجود
+  static AUDITED = {
+    addAccount: "إضافة حساب",
+    updateAccount: "تعديل حساب",
+    deleteAccount: "حذف حساب",
+    addTransaction: "إضافة معاملة",
+    updateTransaction: "تعديل معاملة",
+    deleteTransaction: "حذف معاملة",
+    addAttachment: "إرفاق ملف",
+    deleteAttachment: "حذف مرفق",
+    importStatementRows: "استيراد كشف حساب",
+    recomputeBalances: "إعادة حساب الأرصدة",
+    setSetting: "تغيير إعداد",
+    setBaseCurrency: "تغيير العملة الأساسية",
+    setExchangeRate: "تحديد سعر صرف",
+    deleteExchangeRate: "حذف سعر صرف",
+    addDebt: "إضافة دين",
+    updateDebt: "تعديل دين",
+    payInstallment: "سداد قسط",
+    payDebt: "سداد دين",
+    receiveDebt: "استلام دين",
+    deleteDebtPayment: "حذف دفعة دين",
+    addRecurring: "إضافة معاملة متكررة",
+    updateRecurring: "تعديل معاملة متكررة",
+    deleteRecurring: "حذف معاملة متكررة",
+    pauseRecurring: "إيقاف/استئناف تكرار",
+    skipNextOccurrence: "تخطي تكرار",
+    processRecurring: "تسجيل المعاملات المستحقة",
+    confirmPendingOccurrence: "تأكيد معاملة متكررة",
+    skipPendingOccurrence: "تجاهل معاملة متكررة",
+    setBudget: "تحديد ميزانية",
+    updateBudget: "تعديل ميزانية",
+    deleteBudget: "حذف ميزانية",
+    addSavingsGoal: "إضافة هدف ادخار",
+    updateSavingsGoal: "تعديل هدف ادخار",
+    contributeToSavings: "إيداع في هدف ادخار",
+    withdrawFromSavings: "سحب من هدف ادخار",
+    addCategory: "إضافة فئة",
+    updateCategory: "تعديل فئة",
+    deleteCategory: "حذف فئة",
+    mergeCategories: "دمج فئتين",
+    addPerson: "إضافة شخص",
+    importData: "استيراد نسخة احتياطية",
+    clearAllData: "مسح جميع البيانات",
+  };
+  // عمليات تُسجَّل بلا نسخ للسجلات: المسح لا يُبقي على الجهاز شيئًا من البيانات
+  static IRREVERSIBLE = ["clearAllData"];
+  static MAX_AUDIT_ENTRIES = 100;
+  // حجم السجل المخزّن (بالأحرف) — يُحذف الأقدم حتى لا يتجاوز حصة التخزين
+  static MAX_AUDIT_SIZE = 1000000;
+  // قيد أكبر من هذا (استيراد نسخة كاملة مثلًا) يُحفظ بلا نسخ للسجلات ولا يمكن التراجع عنه (انظر IRREVERSIBLE)
+  static MAX_AUDIT_ENTRY_SIZE = 250000;
+
+  getAuditLog() {
+    return this._read(this.keys.audit, []);
+  }
+
+  // آخر قيد يمكن التراجع عنه — القيد غير القابل للعكس يوقف التراجع عمّا قبله
+  nextUndo() {
+    const entry = this.getAuditLog().filter((e) => !e.undone).at(-1);
+    return entry && !entry.irreversible ? entry : null;
+  }
+
+  // الإعادة متاحة فقط للقيود المتراجع عنها في آخر السجل (أي عملية جديدة تلغيها)
+  nextRedo() {
+    const log = this.getAuditLog();
+    let i = log.length;
+    while (i > 0 && log[i - 1].undone) i--;
+    return log[i] || null;
+  }
+
+  undo() {
+    return this._serial(() => {
+      const entry = this.nextUndo();
+      if (!entry) return null;
+      this._applyChanges(entry.changes, "before");
+      this._markAudit(entry.id, { undone: true });
+      return entry;
+    });
+  }
+
+  redo() {
+    return this._serial(() => {
+      const entry = this.nextRedo();
+      if (!entry) return null;
+      this._applyChanges(entry.changes, "after");
+      this._markAudit(entry.id, { undone: false });
+      return entry;
+    });
+  }
+
+  // عكس قيد قديم كعملية جديدة في السجل — يُرفض إن تغيّرت سجلاته بعده
+  revertAuditEntry(entryId) {
+    return this._serial(async () => {
+      const entry = this.getAuditLog().find((e) => e.id === entryId);
+      if (!entry) throw new Error("القيد غير موجود");
+      if (entry.undone || entry.revertedBy) throw new Error("تم التراجع عن هذه العملية مسبقًا");
+      if (entry.irreversible) throw new Error("لم تُحفظ نسخة من بيانات هذه العملية، ولا يمكن عكسها");
+      const { entry: revert } = await this._record("revert", () => this._applyChanges(entry.changes, "before"), { revertOf: entry.id });
+      this._markAudit(entry.id, { revertedBy: revert?.id || null });
+      return revert;
+    });
+  }
+
+  // مسح السجل نهائيًا ثم حذف الملفات التي لم يعد يحتاجها أي قيد
+  clearAuditLog() {
+    return this._serial(async () => {
+      this._write(this.keys.audit, []);
+      await this.pruneAttachments();
+    });
+  }
+
+  _captureBefore(key) {
+    if (!this._audit || this._audit.before.has(key) || key === this.keys.audit || key === this.keys.backup) return;
+    // القيم في الذاكرة لا تُعدَّل في مكانها (_write يستبدلها بنسخة)، فالمرجع يكفي
+    this._audit.before.set(key, this._cache.has(key) ? this._cache.get(key) : null);
+  }
+
+  // العمليات العامة المسجّلة تنتظر دورها حتى لا تختلط كتابات عملية بقيد أخرى أثناء انتظارها
+  // (حفظ مرفق في IndexedDB مثلًا)؛ العمليات الداخلية تُستدعى عبر _nested لا عبر الواجهة العامة
+  _serial(fn) {
+    const run = this._auditQueue.then(fn);
+    this._auditQueue = run.catch(() => {});
+    return run;
+  }
+
+  _track(op, fn) {
+    return this._serial(() => this._record(op, fn)).then(({ result }) => result);
+  }
+
+  // تنفيذ fn وتسجيل ما غيّرته كقيد واحد — يُرجع { result, entry }
+  async _record(op, fn, extra = {}) {
+    const session = (this._audit = { before: new Map() });
+    let result;
+    try {
+      result = await fn();
+    } finally {
+      this._audit = null;
+      session.entry = this._logAudit(op, session.before, extra);
+    }
+    return { result, entry: session.entry };
+  }
+
+  // استدعاء عملية مسجّلة من داخل أخرى (payDebt → addTransaction): تنضم كتاباتها لقيد العملية الجارية
+  _nested(op, ...args) {
+    return FinanceStorage.UNTRACKED[op].apply(this, args);
+  }
+
+  _logAudit(op, before, extra = {}) {
+    const name = (key) => Object.keys(this.keys).find((k) => this.keys[k] === key);
+    const changes = [];
+    for (const [key, prev] of before) {
+      changes.push(...this._diffValue(name(key), prev, this._cache.has(key) ? this._cache.get(key) : null));
+    }
+    if (!changes.length) return null;
+
+    let entry = { id: this._id("aud"), at: new Date().toISOString(), op, changes, undone: false, ...extra };
+    const irreversible = FinanceStorage.IRREVERSIBLE.includes(op) || JSON.stringify(changes).length > FinanceStorage.MAX_AUDIT_ENTRY_SIZE;
+    if (irreversible) entry = { ...entry, changes: [], count: changes.length, irreversible: true };
+
+    const log = [...this.getAuditLog(), entry].slice(-FinanceStorage.MAX_AUDIT_ENTRIES);
+    let size = JSON.stringify(log).length;
+    while (log.length > 1 && size > FinanceStorage.MAX_AUDIT_SIZE) size -= JSON.stringify(log.shift()).length + 1;
+    const trimmed = log.length < this.getAuditLog().length + 1;
+    this._write(this.keys.audit, log);
+    // الملفات التي كانت تحفظها القيود المحذوفة (أو النسخ غير المحفوظة) لم تعد لازمة —
+    // إن تعذر حذفها الآن حُذفت في التنظيف التالي (لا تمس البيانات)
+    if (trimmed || irreversible) this.pruneAttachments().catch(() => {});
+    return entry;
+  }
+
+  // فروقات مفتاح واحد: سجل بسجل للجداول، وحقل بحقل لـ meta (حتى لا يُلغي عكسُ إعدادٍ قديم ما تلاه)
+  _diffValue(key, before, after) {
+    const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+    if (key === "meta") {
+      return this._metaFields(before || {}, after || {})
+        .map((field) => ({ key, id: null, field, before: this._metaValue(before, field), after: this._metaValue(after, field) }))
+        .filter((c) => !same(c.before, c.after));
+    }
+    if (!FinanceStorage.TABLES.includes(key)) return same(before, after) ? [] : [{ key, id: null, before, after }];
+
+    const prev = new Map((before || []).map((r) => [r.id, r]));
+    const next = new Map((after || []).map((r) => [r.id, r]));
+    const changes = [];
+    for (const id of new Set([...prev.keys(), ...next.keys()])) {
+      if (!same(prev.get(id), next.get(id))) {
+        changes.push({ key, id, before: structuredClone(prev.get(id) ?? null), after: structuredClone(next.get(id) ?? null) });
+      }
     }
+    return changes;
+  }
+
+  // حقول meta: الكائنات المتداخلة (settings) تُفصَّل حقلًا حقلًا
+  _metaFields(before, after) {
+    const isObject = (v) => v && typeof v === "object" && !Array.isArray(v);
+    const fields = [];
+    for (const k of new Set([...Object.keys(before), ...Object.keys(after)])) {
+      if (!isObject(before[k]) && !isObject(after[k])) { fields.push(k); continue; }
+      for (const sub of new Set([...Object.keys(before[k] || {}), ...Object.keys(after[k] || {})])) fields.push(`${k}.${sub}`);
+    }
+    return fields;
+  }
+
+  _metaValue(meta, field) {
+    return structuredClone(field.split(".").reduce((o, k) => o?.[k], meta) ?? null);
+  }
+
+  // side = "before" للتراجع أو "after" للإعادة — يرمي خطأ إن لم تعد السجلات كما تركها القيد
+  _applyChanges(changes, side) {
+    const other = side === "before" ? "after" : "before";
+    const current = (c) => {
+      if (c.field) return this._metaValue(this._read(this.keys.meta, {}), c.field);
+      if (c.id == null) return this._read(this.keys[c.key], null);
+      return this._read(this.keys[c.key], []).find((r) => r.id === c.id) ?? null;
+    };
+    const stale = changes.filter((c) => JSON.stringify(current(c)) !== JSON.stringify(c[other]));
+    if (stale.length) throw new Error("تغيّرت بعض السجلات بعد هذه العملية، لذا لا يمكن عكسها تلقائيًا");
 
-    if (!localStorage.getItem(this.keys.meta)) {
-      this._write(this.keys.meta, { createdAt: new Date().toISOString(), schema: 1 });
+    for (const c of changes) {
+      const key = this.keys[c.key];
+      const value = c[side];
+      if (c.field) {
+        const meta = this._read(key, {});
+        const [k, sub] = c.field.split(".");
+        const target = sub ? (meta[k] = { ...(meta[k] || {}) }) : meta;
+        if (value == null) delete target[sub || k];
+        else target[sub || k] = value;
+        this._write(key, meta);
+        continue;
+      }
+      if (c.id == null) {
+        if (value == null) this._remove(key);
+        else this._write(key, value);
+        continue;
+      }
+      const list = this._read(key, []);
+      const idx = list.findIndex((r) => r.id === c.id);
+      if (value == null) {
+        if (idx >= 0) list.splice(idx, 1);
+      } else if (idx >= 0) {
+        list[idx] = value;
+      } else {
+        list.push(value);
+      }
+      this._write(key, list);
     }
   }
 
+  _markAudit(entryId, patch) {
+    this._write(this.keys.audit, this.getAuditLog().map((e) => (e.id === entryId ? { ...e, ...patch } : e)));
+  }
+
   // =============== تصدير/مسح البيانات ===============
-  async exportData() {
+  // النسخة الكاملة تتضمن المرفقات مرمّزة base64: attachments = [{ id, name, type, data }]
+  // password: نسخة محمية بكلمة مرور (AES-GCM) لا تُقرأ إلا عبر unlockBackup
+  async exportData({ password = "" } = {}) {
     const payload = {
-      meta: this._read(this.keys.meta, {}),
-      accounts: this._read(this.keys.accounts, []),
-      transactions: this._read(this.keys.transactions, []),
-      debts: this._read(this.keys.debts, []),
-      savings: this._read(this.keys.savings, []),
-      categories: this._read(this.keys.categories, []),
-      people: this._read(this.keys.people, []),
+      ...this._snapshot(),
+      attachments: await this._exportAttachments(),
+      profile: this.profile,
       exportedAt: new Date().toISOString(),
       version: "v1",
     };
-    const blob = new Blob([JSON.stringify(payload, null, 2)], { type: "application/json" });
-    const filename = `QB-Finance-Export-${new Date().toISOString().replace(/[:.]/g, "-")}.json`;
+    const body = password ? await DataCipher.protect(payload, password) : payload;
+    const blob = new Blob([JSON.stringify(body, null, 2)], { type: "application/json" });
+    const filename = `${this._exportPrefix()}-Export-${new Date().toISOString().replace(/[:.]/g, "-")}${password ? "-protected" : ""}.json`;
     return { filename, blob };
   }
 
+  // بادئة أسماء ملفات التصدير: اسم الملف الشخصي إن وُجد ("QB-Finance-العمل-الجانبي")
+  _exportPrefix() {
+    const name = (this.profile?.name || "").trim().replace(/[\\/:*?"<>|]+/g, "").replace(/\s+/g, "-");
+    return name ? `QB-Finance-${name}` : "QB-Finance";
+  }
+
+  isProtectedBackup(payload) {
+    return DataCipher.isProtectedBackup(payload);
+  }
+
+  // فك نسخة محمية → محتوى قابل لـ previewImport/importData
+  async unlockBackup(payload, password) {
+    if (!this.isProtectedBackup(payload)) return payload;
+    return DataCipher.unprotect(payload, password);
+  }
+
+  // تصدير المعاملات بصيغ المحاسبة: csv | qif | ofx (UTF-8 مع BOM لدعم العربية في Excel)
+  async exportTransactions(format = "csv", filters = {}) {
+    const txs = this.filterTransactions(filters);
+    const acc = filters.account ? this._findAccount(filters.account) : null;
+    const builders = {
+      csv: () => ({ body: this._transactionsToCSV(txs, acc), type: "text/csv" }),
+      qif: () => ({ body: this._transactionsToQIF(txs, acc), type: "application/qif" }),
+      ofx: () => ({ body: this._transactionsToOFX(txs, acc, filters), type: "application/x-ofx" }),
+    };
+    if (!builders[format]) throw new Error(`صيغة تصدير غير مدعومة: ${format}`);
+
+    const { body, type } = builders[format]();
+    const blob = new Blob(["\uFEFF" + body], { type: `${type};charset=utf-8` });
+    const filename = `${this._exportPrefix()}-Transactions-${new Date().toISOString().replace(/[:.]/g, "-")}.${format}`;
+    return { filename, blob, count: txs.length };
+  }
+
+  // المبلغ بإشارته من منظور الحساب (التحويل سالب للمصدر وموجب للوجهة)
+  // مع تحديد حساب يكون المبلغ بعملة ذلك الحساب، وإلا فبعملة المعاملة الأصلية
+  _signedAmount(t, accountId = null) {
+    if (!accountId) {
+      const amt = this._parseAmount(t.amount);
+      return t.type === "income" ? amt : -amt;
+    }
+    const delta = this._transactionDeltas(t).find(([id]) => id === accountId);
+    return delta ? delta[1] : 0;
+  }
+
+  _transactionsToCSV(txs, acc) {
+    const esc = (v) => {
+      const s = String(v ?? "");
+      return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+    };
+    const typeLabel = { income: "دخل", expense: "مصروف", transfer: "تحويل" };
+    const header = ["التاريخ", "النوع", "الوصف", "الفئة", "الحساب", "إلى الحساب", "المبلغ", "العملة", "ملاحظات", "الوسوم"];
+    const lines = txs.map((t) => [
+      t.date,
+      typeLabel[t.type] || t.type,
+      t.description,
+      t.splits?.length ? t.splits.map((s) => s.category).join(" | ") : t.category,
+      this._findAccount(t.accountId)?.name || t.accountName,
+      t.toAccountId ? (this._findAccount(t.toAccountId)?.name || t.toAccountName) : "",
+      this._signedAmount(t, acc?.id).toFixed(2),
+      acc ? this._currencyOf(acc) : this._currencyOf(t),
+      t.notes,
+      (t.tags || []).join(" "),
+    ].map(esc).join(","));
+    return [header.join(","), ...lines].join("\r\n") + "\r\n";
+  }
+
+  _transactionsToQIF(txs, acc) {
+    const qifType = { cash: "Cash", credit: "CCard" }[acc?.type] || "Bank";
+    const qifDate = (iso) => {
+      const [y, m, d] = String(iso).split("-");
+      return `${m}/${d}/${y}`;
+    };
+    const clean = (s) => String(s ?? "").replace(/[\r\n]+/g, " ");
+    const out = [`!Type:${qifType}`];
+    for (const t of txs) {
+      out.push(`D${qifDate(t.date)}`);
+      out.push(`T${this._signedAmount(t, acc?.id).toFixed(2)}`);
+      if (t.description) out.push(`P${clean(t.description)}`);
+      if (t.type === "transfer") {
+        const other = acc && t.toAccountId === acc.id ? t.accountId : t.toAccountId;
+        out.push(`L[${clean(this._findAccount(other)?.name || "")}]`);
+      } else if (t.category) {
+        out.push(`L${clean(t.category)}`);
+      }
+      if (t.notes) out.push(`M${clean(t.notes)}`);
+      // سطور التقسيم (S فئة، E ملاحظة، $ مبلغ بنفس إشارة المعاملة)
+      if (t.splits?.length && t.type !== "transfer") {
+        const ratio = this._signedAmount(t, acc?.id) / (this._parseAmount(t.amount) || 1);
+        for (const s of t.splits) {
+          out.push(`S${clean(s.category)}`);
+          if (s.note) out.push(`E${clean(s.note)}`);
+          out.push(`$${(s.amount * ratio).toFixed(2)}`);
+        }
+      }
+      out.push("^");
+    }
+    return out.join("\r\n") + "\r\n";
+  }
+
+  _transactionsToOFX(txs, acc, { from = "", to = "" } = {}) {
+    const xml = (s) => String(s ?? "").replace(/[<>&'"]/g, (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", "'": "&apos;", '"': "&quot;" }[c]));
+    const ofxDate = (iso) => String(iso).replace(/-/g, "").slice(0, 8);
+    const acctType = { savings: "SAVINGS", credit: "CREDITLINE" }[acc?.type] || "CHECKING";
+    const dates = txs.map((t) => t.date).sort();
+    const start = from || dates[0] || this._todayISO();
+    const end = to || dates[dates.length - 1] || this._todayISO();
+
+    const rows = txs.map((t) => {
+      // بدون حساب محدد تُحوَّل كل المبالغ للعملة الأساسية لأن OFX يدعم عملة واحدة للكشف
+      const amt = acc ? this._signedAmount(t, acc.id) : this._signedAmount(t) * this._rateBetween(this._currencyOf(t), this.getBaseCurrency(), t.date, 1);
+      const trnType = t.type === "transfer" ? "XFER" : (amt < 0 ? "DEBIT" : "CREDIT");
+      return [
+        "<STMTTRN>",
+        `<TRNTYPE>${trnType}</TRNTYPE>`,
+        `<DTPOSTED>${ofxDate(t.date)}</DTPOSTED>`,
+        `<TRNAMT>${amt.toFixed(2)}</TRNAMT>`,
+        `<FITID>${xml(t.id)}</FITID>`,
+        `<NAME>${xml((t.description || t.category || (t.type === "transfer" ? "تحويل" : "")).slice(0, 32))}</NAME>`,
+        t.notes ? `<MEMO>${xml(t.notes)}</MEMO>` : "",
+        "</STMTTRN>",
+      ].filter(Boolean).join("");
+    });
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<?OFX OFXHEADER="200" VERSION="211" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>',
+      "<OFX>",
+      `<SIGNONMSGSRSV1><SONRS><STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS><DTSERVER>${ofxDate(this._todayISO())}</DTSERVER><LANGUAGE>ARA</LANGUAGE></SONRS></SIGNONMSGSRSV1>`,
+      "<BANKMSGSRSV1><STMTTRNRS><TRNUID>1</TRNUID><STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>",
+      `<STMTRS><CURDEF>${acc ? this._currencyOf(acc) : this.getBaseCurrency()}</CURDEF>`,
+      `<BANKACCTFROM><BANKID>QB-Finance</BANKID><ACCTID>${xml(acc?.id || "ALL")}</ACCTID><ACCTTYPE>${acctType}</ACCTTYPE></BANKACCTFROM>`,
+      `<BANKTRANLIST><DTSTART>${ofxDate(start)}</DTSTART><DTEND>${ofxDate(end)}</DTEND>`,
+      ...rows,
+      "</BANKTRANLIST>",
+      acc ? `<LEDGERBAL><BALAMT>${this._parseAmount(acc.balance).toFixed(2)}</BALAMT><DTASOF>${ofxDate(this._todayISO())}</DTASOF></LEDGERBAL>` : "",
+      "</STMTRS></STMTTRNRS></BANKMSGSRSV1>",
+      "</OFX>",
+    ].filter(Boolean).join("\r\n") + "\r\n";
+  }
+
+  // مسح نهائي: البيانات والمرفقات وسجل التغييرات السابق — يبدأ السجل الجديد بقيد المسح (لا يمكن عكسه)
   async clearAllData() {
-    for (const k of Object.values(this.keys)) localStorage.removeItem(k);
+    for (const k of Object.values(this.keys)) this._remove(k);
+    await this.files.clear();
+    this._ensureInit();
+  }
+
+  // =============== استيراد نسخة احتياطية ===============
+  // معاينة الاستيراد دون حفظ: تُرجع ملخص ما سيُضاف/يُتجاهل
+  previewImport(payload, mode = "merge") {
+    return this._planImport(payload, mode).summary;
+  }
+
+  async importData(payload, { mode = "merge" } = {}) {
+    const { data, summary } = this._planImport(payload, mode);
+    this._writeSnapshot(data);
     this._ensureInit();
+    summary.skippedAttachments = await this._importAttachments(payload.attachments);
+    return summary;
+  }
+
+  _validateImport(payload) {
+    const invalid = (why) => new Error(`ملف النسخة الاحتياطية غير صالح: ${why}`);
+    if (!payload || typeof payload !== "object" || Array.isArray(payload)) throw invalid("البنية غير معروفة");
+    if (this.isProtectedBackup(payload)) throw invalid("الملف محمي بكلمة مرور");
+    if (!Array.isArray(payload.accounts) || !Array.isArray(payload.transactions)) throw invalid("لا يحتوي على حسابات ومعاملات");
+    for (const t of FinanceStorage.TABLES) {
+      if (payload[t] == null) continue;
+      if (!Array.isArray(payload[t])) throw invalid(`الجدول ${t} ليس قائمة`);
+      if (payload[t].some((r) => !r || typeof r !== "object" || !r.id)) throw invalid(`سجل بلا معرّف في ${t}`);
+    }
+    if (payload.attachments != null && !Array.isArray(payload.attachments)) throw invalid("المرفقات ليست قائمة");
+  }
+
+  // يبني البيانات الناتجة عن الاستيراد في الذاكرة + ملخصًا لها
+  _planImport(payload, mode) {
+    this._validateImport(payload);
+    const { data: incoming, from, to } = this.migrateData(payload);
+    const current = this._snapshot();
+    const summary = { mode, from, to, tables: {}, relinked: { accounts: 0, categories: 0, people: 0 }, attachments: (payload.attachments || []).length, profile: payload.profile || null };
+
+    if (mode === "replace") {
+      const data = { meta: { ...current.meta, ...incoming.meta } };
+      for (const t of FinanceStorage.TABLES) {
+        data[t] = incoming[t] || [];
+        summary.tables[t] = { added: data[t].length, skipped: 0, removed: current[t].length };
+      }
+      return { data, summary };
+    }
+
+    // دمج: إزالة المكرر بالمعرّف، وربط الحسابات/الفئات/الأشخاص المتطابقة بالاسم بالسجلات المحلية
+    const data = structuredClone(current);
+    const idMap = { accounts: {}, categories: {}, people: {} };
+    const merge = (table, sameAs = null, onRelink = null) => {
+      const stat = { added: 0, skipped: 0, removed: 0 };
+      const added = [];
+      for (const rec of incoming[table] || []) {
+        if (data[table].some((x) => x.id === rec.id)) { stat.skipped++; continue; }
+        const match = sameAs ? current[table].find((x) => sameAs(x, rec)) : null;
+        if (match) { stat.skipped++; onRelink?.(rec, match); continue; }
+        data[table].push(rec);
+        added.push(rec);
+        stat.added++;
+      }
+      summary.tables[table] = stat;
+      return added;
+    };
+    const mapAcc = (id) => idMap.accounts[id] || id;
+
+    merge("accounts", (a, b) => a.name === b.name, (rec, match) => {
+      idMap.accounts[rec.id] = match.id;
+      summary.relinked.accounts++;
+    });
+    merge("categories", (a, b) => a.name === b.name && a.type === b.type, (rec, match) => {
+      idMap.categories[rec.id] = match.id;
+      summary.relinked.categories++;
+    });
+    const mapCat = (ref) => {
+      if (!ref.categoryId) return ref;
+      const cat = data.categories.find((c) => c.id === (idMap.categories[ref.categoryId] || ref.categoryId));
+      return cat ? { ...ref, categoryId: cat.id, category: cat.name } : ref;
+    };
+    merge("people", (a, b) => a.name === b.name, (rec, match) => {
+      idMap.people[rec.id] = match.id;
+      summary.relinked.people++;
+    });
+
+    // إعادة ربط المراجع قبل الدمج
+    incoming.transactions = (incoming.transactions || []).map((t) => ({
+      ...mapCat(t),
+      splits: t.splits ? t.splits.map(mapCat) : t.splits,
+      accountId: mapAcc(t.accountId),
+      toAccountId: t.toAccountId ? mapAcc(t.toAccountId) : t.toAccountId,
+    }));
+    incoming.ledger = (incoming.ledger || []).map((m) => ({ ...m, accountId: mapAcc(m.accountId) }));
+    incoming.debts = (incoming.debts || []).map((d) => ({
+      ...d,
+      accountId: d.accountId ? mapAcc(d.accountId) : d.accountId,
+      payments: (d.payments || []).map((p) => ({ ...p, accountId: mapAcc(p.accountId) })),
+      personId: idMap.people[d.personId] || d.personId,
+    }));
+
+    const newTxs = merge("transactions");
+    const newMoves = merge("ledger");
+    incoming.savings = (incoming.savings || []).map((g) => ({
+      ...g,
+      accountId: g.accountId ? mapAcc(g.accountId) : g.accountId,
+      history: (g.history || []).map((h) => ({ ...h, accountId: mapAcc(h.accountId) })),
+    }));
+
+    merge("debts");
+    merge("savings");
+    merge("rates", (a, b) => a.currency === b.currency && a.date === b.date);
+
+    incoming.recurring = (incoming.recurring || []).map((r) => ({
+      ...mapCat(r),
+      accountId: mapAcc(r.accountId),
+      toAccountId: r.toAccountId ? mapAcc(r.toAccountId) : r.toAccountId,
+    }));
+    merge("recurring");
+
+    // ميزانية لنفس الفئة والشهر موجودة محليًا تُبقى كما هي
+    incoming.budgets = (incoming.budgets || []).map(mapCat);
+    merge("budgets", (a, b) => a.categoryId === b.categoryId && a.month === b.month);
+
+    // الحركات الجديدة على حسابات موجودة مسبقًا تُطبَّق على أرصدتها
+    // (الحسابات الجديدة تأتي برصيدها المخزّن في الملف)
+    const existing = new Set(current.accounts.map((a) => a.id));
+    const bump = (accountId, delta) => {
+      if (!existing.has(accountId)) return;
+      const acc = data.accounts.find((a) => a.id === accountId);
+      acc.balance = this._parseAmount((acc.balance || 0) + delta);
+    };
+    for (const t of newTxs) for (const [accountId, delta] of this._transactionDeltas(t)) bump(accountId, delta);
+    for (const m of newMoves) bump(m.accountId, this._parseAmount(m.amount));
+    for (const t of newTxs) {
+      t.accountName = data.accounts.find((a) => a.id === t.accountId)?.name || t.accountName;
+      if (t.toAccountId) t.toAccountName = data.accounts.find((a) => a.id === t.toAccountId)?.name || t.toAccountName;
+    }
+
+    return { data, summary };
+  }
+
+  // =============== استيراد كشف حساب بنكي (CSV) ===============
+  // يُرجع صفوف الملف كمصفوفات نصوص (يدعم علامات الاقتباس والفواصل , ; وTab)
+  parseCSV(text) {
+    const src = String(text || "").replace(/^\uFEFF/, "");
+    const firstLine = src.split(/\r?\n/, 1)[0] || "";
+    const delim = [",", ";", "\t"]
+      .map((d) => [d, firstLine.split(d).length])
+      .sort((a, b) => b[1] - a[1])[0][0];
+
+    const rows = [];
+    let row = [], cell = "", quoted = false;
+    for (let i = 0; i < src.length; i++) {
+      const ch = src[i];
+      if (quoted) {
+        if (ch === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+        else if (ch === '"') quoted = false;
+        else cell += ch;
+      } else if (ch === '"') quoted = true;
+      else if (ch === delim) { row.push(cell); cell = ""; }
+      else if (ch === "\n" || ch === "\r") {
+        if (ch === "\r" && src[i + 1] === "\n") i++;
+        row.push(cell); rows.push(row); row = []; cell = "";
+      } else cell += ch;
+    }
+    if (cell !== "" || row.length) { row.push(cell); rows.push(row); }
+    return rows
+      .map((r) => r.map((c) => c.trim()))
+      .filter((r) => r.some((c) => c !== ""));
+  }
+
+  // تخمين أعمدة الكشف من عناوينها (عربي/إنجليزي) — يُرجع فهارس الأعمدة أو -1
+  guessStatementMapping(headers = []) {
+    const find = (re, skip = -1) => headers.findIndex((h, i) => i !== skip && re.test(String(h).toLowerCase()));
+    const debit = find(/debit|withdraw|مدين|سحب|خصم/);
+    let credit = find(/credit|deposit|دائن|إيداع|ايداع/);
+    if (credit < 0) credit = find(/amount|المبلغ/, debit); // عمود مبلغ واحد بإشارة
+    return {
+      date: find(/date|تاريخ/),
+      description: find(/desc|detail|narrative|memo|وصف|البيان|التفاصيل/),
+      debit,
+      credit,
+    };
+  }
+
+  // تواريخ الكشوف: YYYY-MM-DD أو DD/MM/YYYY (الشائع في البنوك السعودية)
+  _parseStatementDate(v) {
+    const s = this._normalizeDigits(v).trim();
+    let y, m, d, match;
+    if ((match = s.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/))) [, y, m, d] = match;
+    else if ((match = s.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})/))) {
+      [, d, m, y] = match;
+      if (y.length === 2) y = "20" + y;
+    } else return null;
+    if (+m < 1 || +m > 12 || +d < 1 || +d > 31) return null;
+    return `${y}-${String(m).padStart(2, "0")}-${String(d).padStart(2, "0")}`;
+  }
+
+  _normalizeText(s) {
+    return String(s || "").trim().toLowerCase().replace(/\s+/g, " ");
+  }
+
+  // تحويل صفوف الكشف إلى معاملات مرشحة مع تعليم المكرر منها
+  // mapping = { date, description, debit, credit } فهارس أعمدة (-1 = غير مستخدم)
+  // عمود "دائن" يقبل مبلغًا بإشارة: السالب مصروف والموجب دخل
+  prepareStatementRows(rows, mapping, account) {
+    const acc = this._findAccount(account);
+    if (!acc) throw new Error("الحساب المحدد غير موجود");
+    const existing = this.getTransactions().filter((t) => t.accountId === acc.id);
+    const cell = (r, idx) => (idx >= 0 ? r[idx] ?? "" : "");
+
+    return rows.map((r, i) => {
+      const date = this._parseStatementDate(cell(r, mapping.date));
+      const description = cell(r, mapping.description);
+      const net = this._parseAmount(cell(r, mapping.credit)) - Math.abs(this._parseAmount(cell(r, mapping.debit)));
+      const amount = Math.round(Math.abs(net) * 100) / 100;
+      const type = net < 0 ? "expense" : "income";
+
+      let error = "";
+      if (!date) error = "تاريخ غير صالح";
+      else if (!amount) error = "لا يوجد مبلغ";
+
+      const duplicate = !error && existing.some((t) =>
+        t.date === date &&
+        t.type === type &&
+        Math.abs(this._parseAmount(t.accountAmount ?? t.amount) - amount) < 0.005 &&
+        this._normalizeText(t.description) === this._normalizeText(description)
+      );
+      return { line: i + 1, date, description, amount, type, duplicate, error };
+    });
+  }
+
+  // إضافة الصفوف المقبولة عبر addTransaction حتى تبقى الأرصدة صحيحة
+  async importStatementRows(rows, { account, expenseCategory, incomeCategory }) {
+    const added = [];
+    for (const r of rows) {
+      if (r.error) continue;
+      added.push(await this._nested("addTransaction", {
+        type: r.type,
+        amount: r.amount,
+        description: r.description,
+        category: r.type === "income" ? incomeCategory : expenseCategory,
+        account,
+        date: r.date,
+        notes: "مستورد من كشف حساب",
+      }));
+    }
+    return added;
   }
 
   // =============== الحسابات ===============
@@ -114,35 +1200,62 @@ class FinanceStorage {
     return this._read(this.keys.accounts, []);
   }
 
-  async addAccount({ name, type = "cash", initialBalance = 0, balance = null, createdAt = null }) {
+  async addAccount({ name, type = "cash", currency = FinanceStorage.PIVOT_CURRENCY, initialBalance = 0, balance = null, createdAt = null }) {
     const accounts = this.getAccounts();
+    currency = this._assertCurrency(currency);
     const acc = {
       id: this._id("acc"),
       name: name?.trim(),
       type,
+      currency,
       initialBalance: this._parseAmount(initialBalance),
-      balance: balance == null ? this._parseAmount(initialBalance) : this._parseAmount(balance),
+      balance: this._parseAmount(initialBalance),
       createdAt: createdAt || new Date().toISOString(),
     };
     accounts.push(acc);
     this._write(this.keys.accounts, accounts);
+
+    // رصيد حالي مختلف عن الابتدائي يُسجَّل كتسوية حتى يبقى قابلًا للتتبع
+    if (balance != null && this._parseAmount(balance) !== acc.initialBalance) {
+      this._recordMovement(acc.id, this._parseAmount(balance) - acc.initialBalance, { source: "adjustment", note: "رصيد افتتاحي" });
+      acc.balance = this._parseAmount(balance);
+    }
     return acc;
   }
 
-  async updateAccount(accountId, { name, type, balance }) {
+  async updateAccount(accountId, { name, type, currency, balance }) {
     const accounts = this.getAccounts();
     const idx = accounts.findIndex(a => a.id === accountId);
     if (idx === -1) return false;
     if (name) accounts[idx].name = name;
     if (type) accounts[idx].type = type;
-    if (balance != null && isFinite(balance)) accounts[idx].balance = this._parseAmount(balance);
+    if (currency && currency !== this._currencyOf(accounts[idx])) {
+      // تغيير العملة يُفسد معنى الأرصدة المسجلة — مسموح فقط لحساب بلا حركات
+      const used = this.getTransactions().some((t) => t.accountId === accountId || t.toAccountId === accountId) ||
+        this.getLedger().some((m) => m.accountId === accountId);
+      if (used) throw new Error("لا يمكن تغيير عملة حساب عليه حركات");
+      accounts[idx].currency = this._assertCurrency(currency);
+    }
     this._write(this.keys.accounts, accounts);
+
+    // تعديل الرصيد يدويًا = تسوية مسجلة بالفرق
+    if (balance != null && isFinite(balance)) {
+      const diff = this._parseAmount(balance) - (accounts[idx].balance || 0);
+      if (diff) this._recordMovement(accountId, diff, { source: "adjustment", note: "تعديل يدوي للرصيد" });
+    }
     return true;
   }
 
+  // يُرفض حذف حساب تشير إليه معاملات أو أهداف ادخار أو ديون أو قوالب متكررة (وإلا تغيّر تقدّم الهدف بصمت)
   async deleteAccount(accountId) {
-    const tx = this.getTransactions();
-    if (tx.some(t => t.accountId === accountId)) return false; // منع حذف حساب عليه معاملات
+    const uses = (list, ...fields) => list.some((r) => fields.some((f) => r[f] === accountId));
+    const refs = [
+      [uses(this.getTransactions(), "accountId", "toAccountId"), "معاملات"],
+      [uses(this._read(this.keys.savings, []), "accountId"), "أهداف ادخار"],
+      [uses(this._read(this.keys.debts, []), "accountId"), "ديون"],
+      [uses(this.getRecurring(), "accountId", "toAccountId"), "معاملات متكررة"],
+    ].filter(([used]) => used).map(([, label]) => label);
+    if (refs.length) throw new Error(`لا يمكن حذف الحساب لارتباطه بـ: ${refs.join("، ")}`);
     const accounts = this.getAccounts().filter(a => a.id !== accountId);
     this._write(this.keys.accounts, accounts);
     return true;
@@ -172,34 +1285,196 @@ class FinanceStorage {
     return list.sort((a, b) => new Date(a.date) - new Date(b.date)); // تصاعدي
   }
 
-  async addTransaction({ type, amount, description, category, account, date, notes = "", createdAt = null }) {
+  // currency: عملة المبلغ المُدخل (الافتراضي عملة الحساب)؛ إن اختلفت عن عملة الحساب
+  // يُخزَّن المبلغ المحوَّل في accountAmount (وفي toAmount لوجهة التحويل) بسعر تاريخ المعاملة
+  // splits: تقسيم الدخل/المصروف على عدة فئات [{ category, amount, note }] (انظر _normalizeSplits)
+  // tags: وسوم حرة (قائمة أو نص مفصول بفواصل) — انظر _normalizeTags
+  async addTransaction({ type, amount, currency = null, description, category, account, toAccount = null, date, notes = "", splits = null, tags = [], recurringId = null, debtId = null, createdAt = null }) {
     const txs = this.getTransactions();
     const acc = this._findAccount(account);
     if (!acc) throw new Error("الحساب المحدد غير موجود");
+    const toAcc = type === "transfer" ? this._resolveTransferTarget(acc, toAccount) : null;
+    const lines = debtId ? null : this._normalizeSplits(splits, this._parseAmount(amount), type);
 
-    const amt = this._parseAmount(amount);
-    const tx = {
+    const tx = this._withAccountAmounts({
       id: this._id("tx"),
-      type, // income | expense
-      amount: amt,
+      type, // income | expense | transfer
+      amount: this._parseAmount(amount),
+      currency: currency || this._currencyOf(acc),
       description: description?.trim(),
-      category,
-      accountId: acc.id, // نخزن المعرّف لضمان الثبات
+      ...this._transactionCategory(type, lines, category), // categoryId + category (اسمها للعرض والتصدير)
+      splits: lines, // null = فئة واحدة
+      tags: this._normalizeTags(tags),
+      attachments: [], // بيانات وصفية فقط — الملفات في مخزن الملفات (انظر addAttachment)
+      accountId: acc.id, // نخزن المعرّف لضمان الثبات (في التحويل: الحساب المصدر)
       accountName: acc.name,
+      toAccountId: toAcc?.id || null, // الحساب الوجهة للتحويل فقط
+      toAccountName: toAcc?.name || null,
       date, // YYYY-MM-DD
       notes,
+      recurringId, // القالب المتكرر الذي وُلّدت منه (إن وجد)
+      debtId, // الدين الذي تمثّل المعاملة دفعة منه (إن وجد)
       createdAt: createdAt || new Date().toISOString(),
-    };
+    }, acc, toAcc);
 
     // تعديل رصيد الحساب
-    const delta = type === "income" ? amt : -amt;
-    this._setAccountBalance(acc.id, (acc.balance || 0) + delta);
+    this._applyTransactionEffect(tx, +1);
 
     txs.push(tx);
     this._write(this.keys.transactions, txs);
     return tx;
   }
 
+  // splits: undefined = إبقاء التقسيم الحالي، null أو [] = إلغاؤه
+  async updateTransaction(txId, { type, amount, currency, description, category, account, toAccount, date, notes, splits, tags }) {
+    const txs = this.getTransactions();
+    const idx = txs.findIndex(t => t.id === txId);
+    if (idx === -1) return false;
+    const old = txs[idx];
+
+    const acc = account ? this._findAccount(account) : this._findAccount(old.accountId);
+    if (!acc) throw new Error("الحساب المحدد غير موجود");
+    const nextType = old.debtId ? old.type : (type || old.type); // دفعة الدين تبقى بنوعها
+    const toAcc = nextType === "transfer" ? this._resolveTransferTarget(acc, toAccount || old.toAccountId) : null;
+
+    // تغيير النوع يُسقط الفئة والتقسيم القديمين ما لم يُحدَّدا من جديد (فئة الدخل لا تصلح لمصروف)
+    const sameType = nextType === old.type;
+    const nextAmount = amount != null ? this._parseAmount(amount) : old.amount;
+    const lines = old.debtId ? null : this._normalizeSplits(splits !== undefined ? splits : (sameType ? old.splits : null), nextAmount, nextType);
+
+    // تغيير الحساب دون تحديد عملة يعني أن المبلغ بعملة الحساب الجديد
+    const accountChanged = acc.id !== old.accountId;
+    const next = this._withAccountAmounts({
+      ...old,
+      type: nextType,
+      amount: nextAmount,
+      currency: currency || (accountChanged ? this._currencyOf(acc) : this._currencyOf(old)),
+      description: description != null ? description.trim() : old.description,
+      ...(old.debtId ? { categoryId: null, category: "" } : this._transactionCategory(nextType, lines, category || (sameType ? old.categoryId || old.category : ""))),
+      splits: lines,
+      tags: tags !== undefined ? this._normalizeTags(tags) : (old.tags || []),
+      accountId: acc.id,
+      accountName: acc.name,
+      toAccountId: toAcc?.id || null,
+      toAccountName: toAcc?.name || null,
+      date: date || old.date,
+      notes: notes != null ? notes : old.notes,
+      updatedAt: new Date().toISOString(),
+    }, acc, toAcc);
+    if (old.debtId) this._syncDebtPayment(next);
+
+    // عكس الأثر القديم ثم تطبيق الجديد
+    this._applyTransactionEffect(old, -1);
+    this._applyTransactionEffect(next, +1);
+
+    txs[idx] = next;
+    this._write(this.keys.transactions, txs);
+    return next;
+  }
+
+  async deleteTransaction(txId) {
+    const txs = this.getTransactions();
+    const tx = txs.find(t => t.id === txId);
+    if (!tx) return false;
+
+    // عكس أثر المعاملة على رصيد الحساب
+    this._applyTransactionEffect(tx, -1);
+    if (tx.debtId) this._removeDebtPayment(tx.debtId, tx.id);
+
+    // ملفات المرفقات تبقى ما دام سجل التغييرات يشير إليها (انظر pruneAttachments)
+    this._write(this.keys.transactions, txs.filter(t => t.id !== txId));
+    return true;
+  }
+
+  // sign = +1 لتطبيق المعاملة، -1 لعكسها
+  _applyTransactionEffect(tx, sign = 1) {
+    for (const [accountId, delta] of this._transactionDeltas(tx)) {
+      const acc = this._findAccount(accountId);
+      if (acc) this._setAccountBalance(acc.id, (acc.balance || 0) + sign * delta);
+    }
+  }
+
+  // أثر المعاملة على الحسابات بعملة كل حساب: [[accountId, delta], ...]
+  _transactionDeltas(tx) {
+    const amt = this._parseAmount(tx.accountAmount ?? tx.amount);
+    if (tx.type === "transfer") return [[tx.accountId, -amt], [tx.toAccountId, this._parseAmount(tx.toAmount ?? tx.amount)]];
+    return [[tx.accountId, tx.type === "income" ? amt : -amt]];
+  }
+
+  // يحسب مبلغ المعاملة بعملة الحساب (والوجهة) إن اختلفت عملتها عنهما
+  _withAccountAmounts(tx, acc, toAcc = null) {
+    tx.currency = this._assertCurrency(tx.currency);
+    const inCurrency = (target) => {
+      if (target === tx.currency) return null;
+      return Math.round(this.convert(tx.amount, tx.currency, target, tx.date) * 100) / 100;
+    };
+    tx.accountAmount = inCurrency(this._currencyOf(acc));
+    tx.toAmount = toAcc ? inCurrency(this._currencyOf(toAcc)) : null;
+    return tx;
+  }
+
+  // سطور التقسيم: سطران على الأقل، لكل سطر فئة ومبلغ موجب، ومجموعها = مبلغ المعاملة
+  // تُرجع null إن لم يكن هناك تقسيم (أو كانت المعاملة تحويلًا)
+  _normalizeSplits(splits, amount, type) {
+    if (!Array.isArray(splits) || !splits.length || type === "transfer") return null;
+    const lines = splits.map((s) => ({
+      id: s.id || this._id("spl"),
+      category: String(s.categoryId || s.category || "").trim(),
+      amount: Math.round(this._parseAmount(s.amount) * 100) / 100,
+      note: String(s.note || "").trim(),
+    }));
+    if (lines.length < 2) throw new Error("التقسيم يحتاج سطرين على الأقل");
+    if (lines.some((l) => !l.category)) throw new Error("اختر فئة لكل سطر في التقسيم");
+    if (lines.some((l) => l.amount <= 0)) throw new Error("مبلغ كل سطر في التقسيم يجب أن يكون أكبر من صفر");
+    const sum = Math.round(lines.reduce((s, l) => s + l.amount, 0) * 100) / 100;
+    if (Math.abs(sum - amount) >= 0.01) throw new Error(`مجموع التقسيم (${sum}) لا يساوي مبلغ المعاملة (${amount})`);
+    const kind = type === "income" ? "income" : "expense";
+    const out = lines.map(({ id, category, ...rest }) => ({ id, ...this._categoryRef(category, kind), ...rest }));
+    if (out.some((l) => !l.categoryId)) throw new Error("اختر فئة لكل سطر في التقسيم");
+    return out;
+  }
+
+  // مرجع فئة المعاملة: لا فئة للتحويل، وفئة أكبر سطر للمعاملة المقسّمة
+  _transactionCategory(type, lines, category) {
+    if (type === "transfer") return { categoryId: null, category: "" };
+    if (lines) {
+      const { categoryId, category: name } = this._mainCategory(lines);
+      return { categoryId, category: name };
+    }
+    return this._categoryRef(category, type === "income" ? "income" : "expense");
+  }
+
+  // الوسوم: بلا # وبلا تكرار، والمسافات الداخلية شرطات ("رحلة الرياض" → "رحلة-الرياض")
+  _normalizeTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags || "").split(/[,،]/);
+    const out = [];
+    for (const raw of list) {
+      const tag = String(raw || "").trim().replace(/^#+/, "").replace(/\s+/g, "-").toLowerCase();
+      if (tag && !out.includes(tag)) out.push(tag);
+    }
+    return out;
+  }
+
+  // الفئة الرئيسية للمعاملة المقسّمة = سطر أكبر مبلغ (للعرض والتصدير بصيغ لا تدعم التقسيم)
+  _mainCategory(lines) {
+    return lines.reduce((max, l) => (l.amount > max.amount ? l : max));
+  }
+
+  // سطور الفئات بالعملة الأساسية: سطور التقسيم إن وُجدت، وإلا سطر واحد بفئة المعاملة
+  _categoryLines(t) {
+    const total = this.amountInBase(t);
+    if (!t.splits?.length) return [{ categoryId: t.categoryId || "", category: t.category || "", amount: total }];
+    const amount = this._parseAmount(t.amount);
+    return t.splits.map((s) => ({ categoryId: s.categoryId || "", category: s.category, amount: amount ? (total * s.amount) / amount : 0 }));
+  }
+
+  _resolveTransferTarget(fromAcc, toAccount) {
+    const toAcc = toAccount ? this._findAccount(toAccount) : null;
+    if (!toAcc) throw new Error("حساب الوجهة غير موجود");
+    if (toAcc.id === fromAcc.id) throw new Error("لا يمكن التحويل إلى نفس الحساب");
+    return toAcc;
+  }
+
   // فترات: day | week | month | year | all
   getTransactionsByPeriod(period = "week") {
     const all = this.getTransactions();
@@ -234,62 +1509,400 @@ class FinanceStorage {
     return new Date(0);
   }
 
-  // =============== إجماليات ولوحات ===============
-  calculateTotalBalance() {
-    return this.getAccounts().reduce((s, a) => s + (this._parseAmount(a.balance) || 0), 0);
+  // تصفية عامة: { account, category, type, from, to, period, search, minAmount, maxAmount }
+  // كل حقل اختياري، والتواريخ YYYY-MM-DD
+  // period: day | week | month | year — يحدد بداية الفترة إن لم يُحدَّد from
+  // category: تطابق فئة المعاملة أو أحد سطور تقسيمها
+  // tag: وسم واحد يجب أن تحمله المعاملة
+  // search: كلمات تُطابق كلها في الوصف أو الملاحظات (وملاحظات سطور التقسيم والوسوم)
+  // minAmount/maxAmount: على المبلغ كما أُدخل بعملة المعاملة
+  filterTransactions({ account = "", category = "", type = "", tag = "", from = "", to = "", period = "", search = "", minAmount = "", maxAmount = "" } = {}) {
+    const acc = account ? this._findAccount(account) : null;
+    if (account && !acc) return [];
+    const categoryId = category ? this._findCategory(category)?.id || category : "";
+    if (!from && period && period !== "all") from = this._localISO(this._startOfPeriod(period));
+    const words = this._searchKey(search).split(/\s+/).filter(Boolean);
+    const min = minAmount === "" || minAmount == null ? null : this._parseAmount(minAmount);
+    const max = maxAmount === "" || maxAmount == null ? null : this._parseAmount(maxAmount);
+    return this.getTransactions().filter((t) => {
+      if (acc && t.accountId !== acc.id && t.toAccountId !== acc.id) return false;
+      if (categoryId && t.categoryId !== categoryId && !(t.splits || []).some((s) => s.categoryId === categoryId)) return false;
+      if (type && t.type !== type) return false;
+      if (tag && !(t.tags || []).includes(tag)) return false;
+      if (from && t.date < from) return false;
+      if (to && t.date > to) return false;
+      const amount = Math.abs(this._parseAmount(t.amount));
+      if (min != null && amount < min) return false;
+      if (max != null && amount > max) return false;
+      if (words.length) {
+        const splitNotes = (t.splits || []).map((s) => s.note).join(" ");
+        const text = this._searchKey(`${t.description || ""} ${t.notes || ""} ${splitNotes} ${(t.tags || []).join(" ")}`);
+        if (!words.every((w) => text.includes(w))) return false;
+      }
+      return true;
+    });
   }
 
-  calculateMonthlyIncome(dateInMonth = new Date()) {
-    const monthStart = new Date(dateInMonth.getFullYear(), dateInMonth.getMonth(), 1);
-    const monthEnd = new Date(dateInMonth.getFullYear(), dateInMonth.getMonth() + 1, 0, 23, 59, 59, 999);
-    return this.getTransactions()
-      .filter((t) => t.type === "income")
-      .filter((t) => {
-        const d = new Date(t.date);
-        return d >= monthStart && d <= monthEnd;
-      })
-      .reduce((s, t) => s + this._parseAmount(t.amount), 0);
+  // نتيجة البحث (الأحدث أولًا) مع إجماليات المطابق بالعملة الأساسية
+  // دفعات الديون والتحويلات تُجمع منفصلة ولا تدخل في الدخل والمصروف
+  searchTransactions(filters = {}) {
+    const transactions = this.filterTransactions(filters).reverse();
+    const totals = { count: transactions.length, income: 0, expense: 0, net: 0, transfers: 0, debtPayments: 0 };
+    for (const t of transactions) {
+      const amount = this.amountInBase(t);
+      if (t.type === "transfer") totals.transfers += amount;
+      else if (t.debtId) totals.debtPayments += t.type === "income" ? amount : -amount;
+      else totals[t.type] += amount;
+    }
+    totals.net = totals.income - totals.expense;
+    return { transactions, totals };
   }
 
-  calculateMonthlyExpenses(dateInMonth = new Date()) {
-    const monthStart = new Date(dateInMonth.getFullYear(), dateInMonth.getMonth(), 1);
-    const monthEnd = new Date(dateInMonth.getFullYear(), dateInMonth.getMonth() + 1, 0, 23, 59, 59, 999);
-    return this.getTransactions()
-      .filter((t) => t.type === "expense")
-      .filter((t) => {
-        const d = new Date(t.date);
-        return d >= monthStart && d <= monthEnd;
-      })
-      .reduce((s, t) => s + this._parseAmount(t.amount), 0);
+  // مفتاح بحث: بلا تشكيل، مع توحيد الأرقام وصور الألف والياء والتاء المربوطة
+  _searchKey(s) {
+    return this._normalizeDigits(s)
+      .toLowerCase()
+      .replace(/[\u064B-\u0652\u0640]/g, "")
+      .replace(/[أإآ]/g, "ا")
+      .replace(/ى/g, "ي")
+      .replace(/ة/g, "ه");
   }
 
-  // =============== الديون ===============
-  getDebtsToMe() {
-    return this._read(this.keys.debts, []).filter((d) => d.type === "to-me");
+  // تاريخ YYYY-MM-DD بالتوقيت المحلي
+  _localISO(d) {
+    const pad = (n) => String(n).padStart(2, "0");
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
   }
 
-  getDebtsFromMe() {
-    return this._read(this.keys.debts, []).filter((d) => d.type === "from-me");
+  // =============== سجل الحركات وسلامة الأرصدة ===============
+  getLedger() {
+    return this._read(this.keys.ledger, []);
   }
 
-  async addDebt({ type, personId, amount, description = "", date, dueDate = null, status = "pending", notes = "", account = "", affectBalance = false }) {
-    const debts = this._read(this.keys.debts, []);
-    let person = this.getPeople().find((p) => (p.id === personId || p.name === personId));
-    if (!person) person = await this.addPerson({ name: personId, phone: "", email: "", notes: "" });
-
-    // ربط الحساب إن وُجد
-    const acc = account ? this._findAccount(account) : this._findAccount("محفظة نقدية");
+  // تسجيل حركة على حساب (خارج المعاملات) وتطبيقها على الرصيد
+  _recordMovement(accountId, amount, { source, refId = null, date = null, note = "" }) {
+    const acc = this._findAccount(accountId);
+    if (!acc) return null;
     const entry = {
-      id: this._id("debt"),
-      type, // "to-me" | "from-me"
-      personId: person.id,
-      amount: this._parseAmount(amount),
+      id: this._id("mov"),
+      accountId: acc.id,
+      amount: this._parseAmount(amount), // موجب = إيداع، سالب = سحب
+      source, // debt | savings | adjustment (دفعات الديون تُسجَّل كمعاملات)
+      refId,
+      date: date || this._todayISO(),
+      note,
+      createdAt: new Date().toISOString(),
+    };
+    const ledger = this.getLedger();
+    ledger.push(entry);
+    this._write(this.keys.ledger, ledger);
+    this._setAccountBalance(acc.id, (acc.balance || 0) + entry.amount);
+    return entry;
+  }
+
+  // الرصيد المحسوب لكل حساب = الرصيد الابتدائي + المعاملات + حركات السجل
+  computeLedgerBalances() {
+    const balances = {};
+    for (const a of this.getAccounts()) balances[a.id] = this._parseAmount(a.initialBalance);
+    for (const t of this.getTransactions()) {
+      for (const [accountId, delta] of this._transactionDeltas(t)) {
+        if (accountId in balances) balances[accountId] += delta;
+      }
+    }
+    for (const m of this.getLedger()) {
+      if (m.accountId in balances) balances[m.accountId] += this._parseAmount(m.amount);
+    }
+    for (const id of Object.keys(balances)) balances[id] = Math.round(balances[id] * 100) / 100;
+    return balances;
+  }
+
+  // الحسابات التي انحرف رصيدها المخزّن عن السجل
+  checkBalanceIntegrity() {
+    const computed = this.computeLedgerBalances();
+    return this.getAccounts()
+      .map((a) => {
+        const stored = this._parseAmount(a.balance);
+        return { accountId: a.id, name: a.name, stored, computed: computed[a.id], drift: Math.round((stored - computed[a.id]) * 100) / 100 };
+      })
+      .filter((r) => Math.abs(r.drift) >= 0.01);
+  }
+
+  // إعادة بناء كل الأرصدة من السجل — تُرجع قائمة الحسابات التي تم إصلاحها
+  async recomputeBalances() {
+    const drifted = this.checkBalanceIntegrity();
+    const computed = this.computeLedgerBalances();
+    const accounts = this.getAccounts().map((a) => ({ ...a, balance: computed[a.id] }));
+    this._write(this.keys.accounts, accounts);
+    return drifted;
+  }
+
+  // =============== التفضيلات ===============
+  // إعدادات المستخدم تُحفظ في meta.settings حتى تُصدَّر وتُستورد مع البيانات
+  getSetting(key, fallback = null) {
+    const settings = this._read(this.keys.meta, {}).settings || {};
+    return key in settings ? settings[key] : fallback;
+  }
+
+  async setSetting(key, value) {
+    const meta = this._read(this.keys.meta, {});
+    meta.settings = { ...(meta.settings || {}), [key]: value };
+    this._write(this.keys.meta, meta);
+    return value;
+  }
+
+  // =============== العملات وأسعار الصرف ===============
+  _defaultRates() {
+    return [
+      { id: this._id("rate"), currency: "USD", rate: 3.75, date: "2000-01-01" },
+      { id: this._id("rate"), currency: "AED", rate: 1.0211, date: "2000-01-01" },
+    ];
+  }
+
+  // السجلات القديمة بلا عملة تُعد بالعملة المرجعية
+  _currencyOf(record) {
+    return record?.currency || FinanceStorage.PIVOT_CURRENCY;
+  }
+
+  _assertCurrency(currency) {
+    const code = String(currency || "").trim().toUpperCase();
+    if (!/^[A-Z]{3}$/.test(code)) throw new Error("رمز العملة غير صالح");
+    if (code !== FinanceStorage.PIVOT_CURRENCY && !this.getExchangeRates().some((r) => r.currency === code)) {
+      throw new Error(`لا يوجد سعر صرف للعملة ${code} — أضفه من الإعدادات`);
+    }
+    return code;
+  }
+
+  getBaseCurrency() {
+    return this._read(this.keys.meta, {}).baseCurrency || FinanceStorage.PIVOT_CURRENCY;
+  }
+
+  async setBaseCurrency(currency) {
+    const code = this._assertCurrency(currency);
+    this._write(this.keys.meta, { ...this._read(this.keys.meta, {}), baseCurrency: code });
+    return code;
+  }
+
+  // كل العملات المعروفة: المرجعية + ما له سعر صرف
+  getCurrencies() {
+    return [...new Set([FinanceStorage.PIVOT_CURRENCY, ...this.getExchangeRates().map((r) => r.currency)])];
+  }
+
+  // مرتبة حسب العملة ثم الأحدث تاريخًا
+  getExchangeRates() {
+    return this._read(this.keys.rates, [])
+      .sort((a, b) => a.currency.localeCompare(b.currency) || b.date.localeCompare(a.date));
+  }
+
+  // rate = قيمة وحدة واحدة من العملة بالعملة المرجعية؛ سعر لنفس العملة والتاريخ يُستبدل
+  async setExchangeRate({ currency, rate, date = "" }) {
+    const code = String(currency || "").trim().toUpperCase();
+    if (!/^[A-Z]{3}$/.test(code)) throw new Error("رمز العملة غير صالح");
+    if (code === FinanceStorage.PIVOT_CURRENCY) throw new Error(`سعر ${code} ثابت (العملة المرجعية)`);
+    const value = this._parseAmount(rate);
+    if (!(value > 0)) throw new Error("سعر الصرف يجب أن يكون أكبر من صفر");
+    const day = date || this._todayISO();
+
+    const rates = this._read(this.keys.rates, []);
+    const existing = rates.find((r) => r.currency === code && r.date === day);
+    if (existing) existing.rate = value;
+    else rates.push({ id: this._id("rate"), currency: code, rate: value, date: day });
+    this._write(this.keys.rates, rates);
+    return existing || rates[rates.length - 1];
+  }
+
+  // لا يُحذف آخر سعر لعملة مستخدمة في حساب أو معاملة أو كعملة أساسية
+  async deleteExchangeRate(rateId) {
+    const rates = this._read(this.keys.rates, []);
+    const r = rates.find((x) => x.id === rateId);
+    if (!r) return false;
+    const isLast = !rates.some((x) => x.id !== rateId && x.currency === r.currency);
+    const inUse = this.getBaseCurrency() === r.currency ||
+      this.getAccounts().some((a) => a.currency === r.currency) ||
+      this.getTransactions().some((t) => t.currency === r.currency);
+    if (isLast && inUse) return false;
+    this._write(this.keys.rates, rates.filter((x) => x.id !== rateId));
+    return true;
+  }
+
+  // قيمة وحدة من العملة بالعملة المرجعية في تاريخ معيّن:
+  // آخر سعر بتاريخ لا يتجاوزه، وإن سبقت كل الأسعار فأقدمها — null إن لم يوجد سعر
+  getRate(currency, date = this._todayISO()) {
+    if (currency === FinanceStorage.PIVOT_CURRENCY) return 1;
+    const list = this.getExchangeRates().filter((r) => r.currency === currency); // الأحدث أولًا
+    if (!list.length) return null;
+    return (list.find((r) => r.date <= date) || list[list.length - 1]).rate;
+  }
+
+  _rateBetween(from, to, date, fallback = null) {
+    if (from === to) return 1;
+    const a = this.getRate(from, date);
+    const b = this.getRate(to, date);
+    return a && b ? a / b : fallback;
+  }
+
+  convert(amount, from, to, date = this._todayISO()) {
+    const rate = this._rateBetween(from, to, date);
+    if (rate == null) throw new Error(`لا يوجد سعر صرف بين ${from} و ${to}`);
+    return this._parseAmount(amount) * rate;
+  }
+
+  // للإجماليات: عملة بلا سعر تُستبعد (صفر) بدل إيقاف العرض كله — وتُضاف إلى missing إن مُرّر
+  _toBase(amount, currency, date, base = this.getBaseCurrency(), missing = null) {
+    const rate = this._rateBetween(currency, base, date);
+    if (rate == null) {
+      missing?.add(currency);
+      return 0;
+    }
+    return this._parseAmount(amount) * rate;
+  }
+
+  // العملات المستبعدة من الإجماليات لعدم وجود سعر صرف لها (لتنبيه المستخدم)
+  getMissingRates() {
+    const base = this.getBaseCurrency();
+    const today = this._todayISO();
+    const missing = new Set();
+    for (const a of this.getAccounts()) this._toBase(0, this._currencyOf(a), today, base, missing);
+    for (const t of this.getTransactions()) this._toBase(0, this._currencyOf(t), t.date, base, missing);
+    return [...missing];
+  }
+
+  // مبلغ المعاملة بالعملة الأساسية بسعر تاريخها
+  amountInBase(tx) {
+    return this._toBase(tx.amount, this._currencyOf(tx), tx.date);
+  }
+
+  // =============== إجماليات ولوحات ===============
+  // ملاحظة: التحويلات بين الحسابات ودفعات الديون لا تُحتسب دخلًا ولا مصروفًا
+  // كل الإجماليات بالعملة الأساسية (getBaseCurrency)
+  calculateTotalBalance() {
+    const base = this.getBaseCurrency();
+    const today = this._todayISO();
+    return this.getAccounts().reduce((s, a) => s + this._toBase(a.balance, this._currencyOf(a), today, base), 0);
+  }
+
+  calculateMonthlyIncome(dateInMonth = new Date()) {
+    const monthStart = new Date(dateInMonth.getFullYear(), dateInMonth.getMonth(), 1);
+    const monthEnd = new Date(dateInMonth.getFullYear(), dateInMonth.getMonth() + 1, 0, 23, 59, 59, 999);
+    return this.getTransactions()
+      .filter((t) => t.type === "income" && !t.debtId)
+      .filter((t) => {
+        const d = new Date(t.date);
+        return d >= monthStart && d <= monthEnd;
+      })
+      .reduce((s, t) => s + this.amountInBase(t), 0);
+  }
+
+  calculateMonthlyExpenses(dateInMonth = new Date()) {
+    const monthStart = new Date(dateInMonth.getFullYear(), dateInMonth.getMonth(), 1);
+    const monthEnd = new Date(dateInMonth.getFullYear(), dateInMonth.getMonth() + 1, 0, 23, 59, 59, 999);
+    return this.getTransactions()
+      .filter((t) => t.type === "expense" && !t.debtId)
+      .filter((t) => {
+        const d = new Date(t.date);
+        return d >= monthStart && d <= monthEnd;
+      })
+      .reduce((s, t) => s + this.amountInBase(t), 0);
+  }
+
+  // =============== الديون ===============
+  // principal = أصل الدين كما سُجّل، والمتبقي يُشتق دائمًا من سجل الدفعات payments
+  getDebtsToMe() {
+    return this.getDebts().filter((d) => d.type === "to-me");
+  }
+
+  getDebtsFromMe() {
+    return this.getDebts().filter((d) => d.type === "from-me");
+  }
+
+  // كل الديون مع الحقول المشتقة: paid و remaining
+  getDebts() {
+    return this._read(this.keys.debts, []).map((d) => this._debtView(d));
+  }
+
+  getDebt(debtId) {
+    const d = this._read(this.keys.debts, []).find((x) => x.id === debtId);
+    return d ? this._debtView(d) : null;
+  }
+
+  _debtPaid(d) {
+    return Math.round((d.payments || []).reduce((s, p) => s + this._parseAmount(p.amount), 0) * 100) / 100;
+  }
+
+  // إجمالي المستحق: الأصل، أو الأصل + الربح/الرسوم في خطط الأقساط
+  _debtTotal(d) {
+    return d.plan ? this._parseAmount(d.plan.total) : this._parseAmount(d.principal);
+  }
+
+  _debtRemaining(d) {
+    return Math.max(0, Math.round((this._debtTotal(d) - this._debtPaid(d)) * 100) / 100);
+  }
+
+  // daysUntilDue: سالب = متأخر بعدد الأيام، null = بلا تاريخ استحقاق
+  // في خطط الأقساط يكون الاستحقاق هو موعد أول قسط غير مدفوع
+  _debtView(d, today = this._todayISO()) {
+    const remaining = this._debtRemaining(d);
+    const view = { ...d, total: this._debtTotal(d), paid: this._debtPaid(d), remaining };
+    if (d.plan) {
+      const paidSet = new Set((d.payments || []).map((p) => p.installment).filter((n) => n != null));
+      view.schedule = d.plan.schedule.map((i) => ({ ...i, paid: paidSet.has(i.n) }));
+      const left = view.schedule.filter((i) => !i.paid);
+      view.installmentsLeft = left.length;
+      view.nextInstallment = left[0] || null;
+      view.payoffDate = d.plan.schedule[d.plan.schedule.length - 1]?.dueDate || "";
+      view.dueDate = left[0]?.dueDate || "";
+    }
+    const daysUntilDue = view.dueDate ? this._daysBetween(today, view.dueDate) : null;
+    return {
+      ...view,
+      daysUntilDue,
+      overdue: remaining > 0 && daysUntilDue != null && daysUntilDue < 0,
+    };
+  }
+
+  _daysBetween(fromISO, toISO) {
+    const utc = (iso) => Date.UTC(...iso.split("-").map((n, i) => Number(n) - (i === 1 ? 1 : 0)));
+    return Math.round((utc(toISO) - utc(fromISO)) / 86400000);
+  }
+
+  // ديون غير مسددة متأخرة أو مستحقة خلال days يومًا — الأكثر إلحاحًا أولًا
+  getDueDebts({ days = 7, today = this._todayISO() } = {}) {
+    return this._read(this.keys.debts, [])
+      .map((d) => this._debtView(d, today))
+      .filter((d) => d.remaining > 0 && d.daysUntilDue != null && d.daysUntilDue <= days)
+      .sort((a, b) => a.daysUntilDue - b.daysUntilDue || b.remaining - a.remaining);
+  }
+
+  // الحالة تتبع الدفعات: pending | partial | paid
+  _refreshDebtStatus(d) {
+    if (this._debtRemaining(d) <= 0) d.status = "paid";
+    else d.status = (d.payments || []).length ? "partial" : "pending";
+  }
+
+  _debtPaymentTitle(isReceipt, personName = "") {
+    return `${isReceipt ? "تحصيل دين" : "سداد دين"}${personName ? ` — ${personName}` : ""}`;
+  }
+
+  // installments (اختياري): { count, frequency, firstDueDate, rate, fee } لتحويل الدين إلى خطة أقساط
+  async addDebt({ type, personId, amount, description = "", date, dueDate = null, status = "pending", notes = "", account = "", affectBalance = false, installments = null }) {
+    const debts = this._read(this.keys.debts, []);
+    let person = this.getPeople().find((p) => (p.id === personId || p.name === personId));
+    if (!person) person = await this._nested("addPerson", { name: personId, phone: "", email: "", notes: "" });
+
+    // ربط الحساب إن وُجد
+    const acc = account ? this._findAccount(account) : this._findAccount("محفظة نقدية");
+    const entry = {
+      id: this._id("debt"),
+      type, // "to-me" | "from-me"
+      personId: person.id,
+      principal: this._parseAmount(amount), // أصل الدين — لا يتغير مع السداد
       description: description?.trim(),
       date, // YYYY-MM-DD
-      dueDate: dueDate || date,
-      status, // pending | paid | partial
+      dueDate: dueDate || "", // فارغ = بلا موعد استحقاق
+      status, // pending | paid | partial ("متأخر" حالة مشتقة: overdue)
       notes,
       accountId: acc?.id || null,
+      payments: [], // { id, date, amount, accountId, note, transactionId, installment? }
+      plan: installments ? this.buildInstallmentPlan({ principal: amount, firstDueDate: dueDate || date, ...installments }) : null,
       createdAt: new Date().toISOString(),
     };
 
@@ -299,94 +1912,797 @@ class FinanceStorage {
     // التأثير على الرصيد عند الإنشاء
     if (affectBalance && acc) {
       // to-me = أنا أعطيت مال (ينقص الرصيد)، from-me = استلمت مال (يزيد الرصيد)
-      const delta = (type === "to-me") ? -entry.amount : +entry.amount;
-      this._setAccountBalance(acc.id, (acc.balance || 0) + delta);
+      const delta = (type === "to-me") ? -entry.principal : +entry.principal;
+      this._recordMovement(acc.id, delta, { source: "debt", refId: entry.id, date: entry.date });
     }
 
-    return entry;
+    return this._debtView(entry);
   }
 
-  async payDebt(debtId, amount, accountNameOrId) {
-    amount = this._parseAmount(amount);
+  async updateDebt(debtId, { description, dueDate, notes }) {
     const debts = this._read(this.keys.debts, []);
-    const d = debts.find(x => x.id === debtId);
+    const d = debts.find((x) => x.id === debtId);
     if (!d) return false;
-    const acc = this._findAccount(accountNameOrId) || (d.accountId ? this._findAccount(d.accountId) : null);
-    if (!acc) return false;
+    if (description != null) d.description = description.trim();
+    if (dueDate !== undefined) d.dueDate = dueDate || "";
+    if (notes != null) d.notes = notes;
+    this._write(this.keys.debts, debts);
+    return this._debtView(d);
+  }
 
-    // سداد دين "from-me": أخرج مالًا → ينقص الرصيد
-    this._setAccountBalance(acc.id, (acc.balance || 0) - amount);
+  // جدول أقساط: frequency = weekly | biweekly | monthly
+  // rate = نسبة ربح سنوية % (تقسيط متناقص)، fee = رسوم ثابتة تُوزَّع بالتساوي على الأقساط
+  buildInstallmentPlan({ principal, count, frequency = "monthly", firstDueDate, rate = 0, fee = 0 }) {
+    principal = this._parseAmount(principal);
+    count = parseInt(count, 10);
+    rate = this._parseAmount(rate);
+    fee = this._parseAmount(fee);
+    if (!(principal > 0)) throw new Error("أدخل أصل المبلغ");
+    if (!(count >= 1 && count <= 600)) throw new Error("عدد الأقساط غير صالح");
+    const perYear = { weekly: 52, biweekly: 26, monthly: 12 }[frequency];
+    if (!perYear) throw new Error("تكرار غير مدعوم");
+    if (rate < 0 || fee < 0) throw new Error("الربح والرسوم لا تكون سالبة");
 
-    if (amount >= d.amount) { d.status = "paid"; d.amount = 0; }
-    else { d.amount = this._parseAmount(d.amount - amount); d.status = "partial"; }
+    const round = (n) => Math.round(n * 100) / 100;
+    const r = rate / 100 / perYear;
+    const payment = r ? round((principal * r) / (1 - Math.pow(1 + r, -count))) : round(principal / count);
+    const feeEach = round(fee / count);
 
-    this._write(this.keys.debts, debts);
-    return true;
+    // التواريخ بنفس منطق المعاملات المتكررة (الشهري يحافظ على يوم الاستحقاق)
+    const cursor = {
+      startDate: firstDueDate,
+      nextDate: firstDueDate,
+      frequency: frequency === "monthly" ? "monthly" : "weekly",
+      interval: frequency === "biweekly" ? 2 : 1,
+    };
+    const schedule = [];
+    let balance = principal;
+    for (let n = 1; n <= count; n++) {
+      const profit = round(balance * r);
+      const last = n === count;
+      // القسط الأخير يُسوّي فروق التقريب
+      const principalPart = last ? round(balance) : round(payment - profit);
+      const feePart = last ? round(fee - feeEach * (count - 1)) : feeEach;
+      schedule.push({ n, dueDate: cursor.nextDate, principalPart, profitPart: round(profit + feePart), amount: round(principalPart + profit + feePart) });
+      balance = round(balance - principalPart);
+      cursor.nextDate = this._nextRecurrenceDate(cursor);
+    }
+    const total = round(schedule.reduce((s, i) => s + i.amount, 0));
+    return { count, frequency, rate, fee, total, profit: round(total - principal), schedule };
+  }
+
+  // دفع قسط محدد بمبلغه المجدول — يُسجَّل كدفعة على الدين
+  async payInstallment(debtId, n, accountNameOrId, { date = "", note = "" } = {}) {
+    const debt = this.getDebt(debtId);
+    const inst = debt?.schedule?.find((i) => i.n === Number(n));
+    if (!inst) return false;
+    if (inst.paid) throw new Error("هذا القسط مدفوع مسبقًا");
+    const amount = Math.min(inst.amount, debt.remaining);
+    return this._addDebtPayment(debtId, amount, accountNameOrId, { date, note: note || `القسط ${n} من ${debt.plan.count}`, installment: inst.n }, debt.type === "to-me");
+  }
+
+  // سداد دين "from-me": أخرج مالًا → ينقص الرصيد
+  async payDebt(debtId, amount, accountNameOrId, options = {}) {
+    return this._addDebtPayment(debtId, amount, accountNameOrId, options, false);
   }
 
-  async receiveDebt(debtId, amount, accountNameOrId) {
+  // استرداد دين "to-me": دخل → يزيد الرصيد
+  async receiveDebt(debtId, amount, accountNameOrId, options = {}) {
+    return this._addDebtPayment(debtId, amount, accountNameOrId, options, true);
+  }
+
+  // كل دفعة تُسجَّل معاملة مرتبطة بالدين حتى يكتمل سجل الحساب
+  // المبلغ بعملة حساب الدين، ويُحوَّل تلقائيًا إن دُفع من حساب بعملة أخرى
+  async _addDebtPayment(debtId, amount, accountNameOrId, { date = "", note = "", installment = null }, isReceipt) {
     amount = this._parseAmount(amount);
-    const debts = this._read(this.keys.debts, []);
-    const d = debts.find(x => x.id === debtId);
-    if (!d) return false;
-    const acc = this._findAccount(accountNameOrId) || (d.accountId ? this._findAccount(d.accountId) : null);
+    const debt = this.getDebt(debtId);
+    if (!debt || !(amount > 0)) return false;
+    const acc = this._findAccount(accountNameOrId) || (debt.accountId ? this._findAccount(debt.accountId) : null);
     if (!acc) return false;
+    if (amount - debt.remaining > 0.005) throw new Error("المبلغ أكبر من المتبقي من الدين");
+
+    const tx = await this._nested("addTransaction", {
+      type: isReceipt ? "income" : "expense",
+      amount,
+      currency: this._currencyOf(this._findAccount(debt.accountId) || acc),
+      description: this._debtPaymentTitle(isReceipt, this.getPeople().find((p) => p.id === debt.personId)?.name),
+      category: "",
+      account: acc.id,
+      date: date || this._todayISO(),
+      notes: note,
+      debtId,
+    });
 
-    // استرداد دين "to-me": دخل → يزيد الرصيد
-    this._setAccountBalance(acc.id, (acc.balance || 0) + amount);
+    const debts = this._read(this.keys.debts, []);
+    const d = debts.find((x) => x.id === debtId);
+    const payment = { id: this._id("pay"), date: tx.date, amount, accountId: acc.id, note, transactionId: tx.id };
+    if (installment != null) payment.installment = installment;
+    d.payments = [...(d.payments || []), payment];
+    this._refreshDebtStatus(d);
+    this._write(this.keys.debts, debts);
+    return payment;
+  }
+
+  // حذف دفعة = حذف معاملتها (يعكس أثرها على الرصيد ويعيد المتبقي)
+  async deleteDebtPayment(debtId, paymentId) {
+    const p = this.getDebt(debtId)?.payments.find((x) => x.id === paymentId);
+    if (!p) return false;
+    if (p.transactionId && this.getTransactions().some((t) => t.id === p.transactionId)) {
+      return this._nested("deleteTransaction", p.transactionId);
+    }
+    this._removeDebtPayment(debtId, null, paymentId);
+    return true;
+  }
 
-    if (amount >= d.amount) { d.status = "paid"; d.amount = 0; }
-    else { d.amount = this._parseAmount(d.amount - amount); d.status = "partial"; }
+  _removeDebtPayment(debtId, transactionId, paymentId = null) {
+    const debts = this._read(this.keys.debts, []);
+    const d = debts.find((x) => x.id === debtId);
+    if (!d) return;
+    d.payments = (d.payments || []).filter((p) => (paymentId ? p.id !== paymentId : p.transactionId !== transactionId));
+    this._refreshDebtStatus(d);
+    this._write(this.keys.debts, debts);
+  }
 
+  // تعديل معاملة دفعة من قائمة المعاملات ينعكس على سجل الدين
+  _syncDebtPayment(tx) {
+    const debts = this._read(this.keys.debts, []);
+    const d = debts.find((x) => x.id === tx.debtId);
+    const p = d?.payments?.find((x) => x.transactionId === tx.id);
+    if (!p) return;
+    const others = (d.payments || []).filter((x) => x !== p).reduce((s, x) => s + this._parseAmount(x.amount), 0);
+    if (tx.amount + others - this._debtTotal(d) > 0.005) throw new Error("المبلغ أكبر من المتبقي من الدين");
+    Object.assign(p, { amount: tx.amount, date: tx.date, accountId: tx.accountId, note: tx.notes });
+    this._refreshDebtStatus(d);
     this._write(this.keys.debts, debts);
+  }
+
+  // =============== المعاملات المتكررة ===============
+  getRecurring() {
+    return this._read(this.keys.recurring, []);
+  }
+
+  // frequency: daily | weekly | monthly | yearly — interval: كل كم وحدة
+  // تنتهي القاعدة عند endDate أو بعد maxOccurrences تكرار (أيهما أولًا)
+  // autoPost: تُسجَّل تلقائيًا عند الاستحقاق، وإلا تُوضع في قائمة "بانتظار التأكيد"
+  async addRecurring({ type = "expense", amount, description = "", category = "", account, toAccount = null, frequency = "monthly", interval = 1,
+    startDate, endDate = "", maxOccurrences = null, autoPost = false, notes = "" }) {
+    const acc = this._findAccount(account);
+    if (!acc) throw new Error("الحساب المحدد غير موجود");
+    const toAcc = type === "transfer" ? this._resolveTransferTarget(acc, toAccount) : null;
+    if (!["daily", "weekly", "monthly", "yearly"].includes(frequency)) throw new Error("تكرار غير مدعوم");
+    const start = startDate || this._todayISO();
+
+    const r = {
+      id: this._id("rec"),
+      type,
+      amount: this._parseAmount(amount),
+      description: description?.trim(),
+      ...this._transactionCategory(type, null, category),
+      accountId: acc.id,
+      toAccountId: toAcc?.id || null,
+      frequency,
+      interval: Math.max(1, parseInt(interval, 10) || 1),
+      startDate: start,
+      endDate: endDate || "",
+      maxOccurrences: maxOccurrences ? Math.max(1, parseInt(maxOccurrences, 10)) : null,
+      autoPost: !!autoPost,
+      paused: false,
+      nextDate: start,
+      occurrences: 0,  // عدد التكرارات المولّدة (مسجلة أو معلقة أو متخطاة)
+      pending: [],     // تواريخ بانتظار التأكيد
+      skipped: [],     // تواريخ تم تخطيها
+      notes,
+      createdAt: new Date().toISOString(),
+    };
+    const list = this.getRecurring();
+    list.push(r);
+    this._write(this.keys.recurring, list);
+    return r;
+  }
+
+  async updateRecurring(id, patch = {}) {
+    const list = this.getRecurring();
+    const idx = list.findIndex((r) => r.id === id);
+    if (idx === -1) return false;
+    const r = { ...list[idx] };
+
+    if (patch.account) {
+      const acc = this._findAccount(patch.account);
+      if (!acc) throw new Error("الحساب المحدد غير موجود");
+      r.accountId = acc.id;
+    }
+    for (const k of ["type", "description", "frequency", "endDate", "notes", "nextDate"]) {
+      if (patch[k] != null) r[k] = patch[k];
+    }
+    // تغيير النوع دون فئة جديدة يُسقط الفئة القديمة
+    const category = patch.category != null ? patch.category : (r.type === list[idx].type ? null : "");
+    if (category != null) Object.assign(r, this._transactionCategory(r.type, null, category));
+    if (patch.amount != null) r.amount = this._parseAmount(patch.amount);
+    if (patch.interval != null) r.interval = Math.max(1, parseInt(patch.interval, 10) || 1);
+    if (patch.maxOccurrences !== undefined) r.maxOccurrences = patch.maxOccurrences ? parseInt(patch.maxOccurrences, 10) : null;
+    if (patch.autoPost != null) r.autoPost = !!patch.autoPost;
+    if (patch.paused != null) r.paused = !!patch.paused;
+    if (r.type === "transfer") {
+      r.toAccountId = this._resolveTransferTarget(this._findAccount(r.accountId), patch.toAccount || r.toAccountId).id;
+      r.categoryId = null;
+      r.category = "";
+    } else {
+      r.toAccountId = null;
+    }
+
+    list[idx] = r;
+    this._write(this.keys.recurring, list);
+    return r;
+  }
+
+  async deleteRecurring(id) {
+    const list = this.getRecurring();
+    if (!list.some((r) => r.id === id)) return false;
+    this._write(this.keys.recurring, list.filter((r) => r.id !== id));
+    return true;
+  }
+
+  async pauseRecurring(id, paused = true) {
+    return this._nested("updateRecurring", id, { paused });
+  }
+
+  // تخطي التكرار القادم دون تسجيله
+  async skipNextOccurrence(id) {
+    const list = this.getRecurring();
+    const r = list.find((x) => x.id === id);
+    if (!r || this.isRecurrenceEnded(r)) return false;
+    r.skipped.push(r.nextDate);
+    r.occurrences++;
+    r.nextDate = this._nextRecurrenceDate(r);
+    this._write(this.keys.recurring, list);
+    return true;
+  }
+
+  isRecurrenceEnded(r) {
+    if (r.maxOccurrences && r.occurrences >= r.maxOccurrences) return true;
+    return !!(r.endDate && r.nextDate > r.endDate);
+  }
+
+  // التاريخ التالي بعد nextDate (الشهري/السنوي يحافظ على يوم البداية مع قصّه لآخر الشهر)
+  _nextRecurrenceDate(r) {
+    const [y, m, d] = r.nextDate.split("-").map(Number);
+    const anchor = Number(r.startDate.split("-")[2]);
+    const n = r.interval || 1;
+    const daysIn = (yy, mm) => new Date(Date.UTC(yy, mm + 1, 0)).getUTCDate();
+    let next;
+    if (r.frequency === "daily") next = new Date(Date.UTC(y, m - 1, d + n));
+    else if (r.frequency === "weekly") next = new Date(Date.UTC(y, m - 1, d + 7 * n));
+    else {
+      const months = r.frequency === "yearly" ? 12 * n : n;
+      const first = new Date(Date.UTC(y, m - 1 + months, 1));
+      const yy = first.getUTCFullYear(), mm = first.getUTCMonth();
+      next = new Date(Date.UTC(yy, mm, Math.min(anchor, daysIn(yy, mm))));
+    }
+    return next.toISOString().split("T")[0];
+  }
+
+  _occurrenceTx(r, date) {
+    return {
+      type: r.type,
+      amount: r.amount,
+      description: r.description,
+      category: r.categoryId || r.category,
+      account: r.accountId,
+      toAccount: r.toAccountId,
+      date,
+      notes: r.notes,
+      recurringId: r.id,
+    };
+  }
+
+  // توليد كل التكرارات المستحقة حتى اليوم — يُستدعى عند فتح التطبيق
+  async processRecurring(today = this._todayISO()) {
+    const list = this.getRecurring();
+    const result = { posted: [], pending: [], failed: [] };
+    for (const r of list) {
+      if (r.paused) continue;
+      let guard = 0;
+      while (!this.isRecurrenceEnded(r) && r.nextDate <= today && guard++ < 1000) {
+        if (r.autoPost) {
+          try {
+            result.posted.push(await this._nested("addTransaction", this._occurrenceTx(r, r.nextDate)));
+          } catch (err) {
+            // الحساب لم يعد موجودًا مثلًا — نُبقيه معلقًا ليقرر المستخدم
+            r.pending.push(r.nextDate);
+            result.pending.push({ recurringId: r.id, date: r.nextDate });
+            result.failed.push({ recurringId: r.id, date: r.nextDate, error: err.message });
+          }
+        } else {
+          r.pending.push(r.nextDate);
+          result.pending.push({ recurringId: r.id, date: r.nextDate });
+        }
+        r.occurrences++;
+        r.nextDate = this._nextRecurrenceDate(r);
+      }
+    }
+    this._write(this.keys.recurring, list);
+    return result;
+  }
+
+  // التكرارات القادمة حتى until (شاملًا) دون تسجيلها أو تعديل القوالب — للتوقعات
+  getUpcomingOccurrences(until) {
+    const out = [];
+    for (const r of this.getRecurring()) {
+      if (r.paused) continue;
+      const sim = { ...r };
+      let guard = 0;
+      while (!this.isRecurrenceEnded(sim) && sim.nextDate <= until && guard++ < 1000) {
+        out.push({ recurringId: r.id, date: sim.nextDate, template: r });
+        sim.occurrences++;
+        sim.nextDate = this._nextRecurrenceDate(sim);
+      }
+    }
+    return out.sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  // كل التكرارات المعلقة مع بيانات القالب
+  getPendingOccurrences() {
+    return this.getRecurring()
+      .flatMap((r) => r.pending.map((date) => ({ recurringId: r.id, date, template: r })))
+      .sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  async confirmPendingOccurrence(recurringId, date, overrides = {}) {
+    const list = this.getRecurring();
+    const r = list.find((x) => x.id === recurringId);
+    if (!r || !r.pending.includes(date)) return false;
+    const tx = await this._nested("addTransaction", { ...this._occurrenceTx(r, date), ...overrides });
+    r.pending = r.pending.filter((d) => d !== date);
+    this._write(this.keys.recurring, list);
+    return tx;
+  }
+
+  async skipPendingOccurrence(recurringId, date) {
+    const list = this.getRecurring();
+    const r = list.find((x) => x.id === recurringId);
+    if (!r || !r.pending.includes(date)) return false;
+    r.pending = r.pending.filter((d) => d !== date);
+    r.skipped.push(date);
+    this._write(this.keys.recurring, list);
+    return true;
+  }
+
+  // =============== الميزانيات ===============
+  // month = "YYYY-MM" لميزانية شهر محدد، أو "" لميزانية افتراضية لكل الشهور
+  // rollover: يُرحَّل غير المصروف من الشهر السابق إلى الشهر الحالي
+  getBudgets() {
+    return this._read(this.keys.budgets, []);
+  }
+
+  _monthOf(date) {
+    return String(date || "").slice(0, 7);
+  }
+
+  _prevMonth(month) {
+    const [y, m] = month.split("-").map(Number);
+    const d = new Date(Date.UTC(y, m - 2, 1));
+    return d.toISOString().slice(0, 7);
+  }
+
+  // category: معرّف الفئة أو اسمها
+  async setBudget({ category, amount, month = "", rollover = false }) {
+    if (!category) throw new Error("اختر الفئة");
+    const cat = this._findCategory(category, "expense");
+    if (!cat) throw new Error(this._findCategory(category) ? "الميزانيات لفئات المصروفات فقط" : "الفئة غير موجودة");
+    const budgets = this.getBudgets();
+    const existing = budgets.find((b) => b.categoryId === cat.id && b.month === month);
+    if (existing) {
+      existing.amount = this._parseAmount(amount);
+      existing.rollover = !!rollover;
+      this._write(this.keys.budgets, budgets);
+      return existing;
+    }
+    const b = {
+      id: this._id("bud"),
+      categoryId: cat.id,
+      category: cat.name,
+      amount: this._parseAmount(amount),
+      month,
+      startMonth: month || this._monthOf(this._todayISO()), // أول شهر تبدأ منه الميزانية (للترحيل)
+      rollover: !!rollover,
+      createdAt: new Date().toISOString(),
+    };
+    budgets.push(b);
+    this._write(this.keys.budgets, budgets);
+    return b;
+  }
+
+  async updateBudget(budgetId, { amount, rollover }) {
+    const budgets = this.getBudgets();
+    const b = budgets.find((x) => x.id === budgetId);
+    if (!b) return false;
+    if (amount != null) b.amount = this._parseAmount(amount);
+    if (rollover != null) b.rollover = !!rollover;
+    this._write(this.keys.budgets, budgets);
+    return b;
+  }
+
+  async deleteBudget(budgetId) {
+    const budgets = this.getBudgets();
+    if (!budgets.some((b) => b.id === budgetId)) return false;
+    this._write(this.keys.budgets, budgets.filter((b) => b.id !== budgetId));
+    return true;
+  }
+
+  // الميزانية السارية لفئة في شهر: الخاصة بالشهر أولًا ثم الافتراضية
+  _budgetFor(categoryId, month, budgets = this.getBudgets()) {
+    return (
+      budgets.find((b) => b.categoryId === categoryId && b.month === month) ||
+      budgets.find((b) => b.categoryId === categoryId && !b.month && b.startMonth <= month) ||
+      null
+    );
+  }
+
+  // كل سطر تقسيم يُحتسب لفئته
+  getCategorySpending(categoryId, month, txs = this.getTransactions()) {
+    return txs
+      .filter((t) => t.type === "expense" && this._monthOf(t.date) === month)
+      .reduce((s, t) => s + this._categoryAmount(t, categoryId), 0);
+  }
+
+  // نصيب فئة من المعاملة بالعملة الأساسية (صفر إن لم تكن من فئاتها)
+  _categoryAmount(t, categoryId) {
+    return this._categoryLines(t).filter((l) => l.categoryId === categoryId).reduce((s, l) => s + l.amount, 0);
+  }
+
+  // المتاح في الشهر = الميزانية + المرحَّل من الشهر السابق (إن كان الترحيل مفعّلًا)
+  _budgetAvailable(categoryId, month, budgets, txs, depth = 0) {
+    const b = this._budgetFor(categoryId, month, budgets);
+    if (!b) return null;
+    let carried = 0;
+    if (b.rollover && depth < 120) {
+      const prev = this._prevMonth(month);
+      const prevAvail = this._budgetAvailable(categoryId, prev, budgets, txs, depth + 1);
+      if (prevAvail) carried = Math.max(0, prevAvail.available - this.getCategorySpending(categoryId, prev, txs));
+    }
+    return { budget: b, carried, available: b.amount + carried };
+  }
+
+  // حالة كل الميزانيات لشهر معيّن
+  getBudgetStatus(month = this._monthOf(this._todayISO())) {
+    const budgets = this.getBudgets();
+    const txs = this.getTransactions();
+    const categories = [...new Set(budgets.map((b) => b.categoryId))];
+    return categories
+      .map((categoryId) => {
+        const avail = this._budgetAvailable(categoryId, month, budgets, txs);
+        if (!avail) return null;
+        const spent = this.getCategorySpending(categoryId, month, txs);
+        const pct = avail.available > 0 ? Math.round((spent / avail.available) * 100) : (spent > 0 ? 100 : 0);
+        return {
+          budgetId: avail.budget.id,
+          categoryId,
+          category: avail.budget.category,
+          month,
+          amount: avail.budget.amount,
+          carried: avail.carried,
+          available: avail.available,
+          spent,
+          remaining: avail.available - spent,
+          pct,
+          rollover: avail.budget.rollover,
+          isMonthSpecific: !!avail.budget.month,
+        };
+      })
+      .filter(Boolean);
+  }
+
+  // الفئات التي دفعتها معاملة مصروف (بعد حفظها) لتجاوز 80% أو 100% من ميزانيتها
+  // يُرجع [{ category, level: 100 | 80 }] — previous: المعاملة قبل التعديل (إن كان تعديلًا)
+  budgetAlerts(tx, previous = null) {
+    if (!tx || tx.type !== "expense") return [];
+    const month = this._monthOf(tx.date);
+    const counted = previous?.type === "expense" && this._monthOf(previous.date) === month;
+    const status = this.getBudgetStatus(month);
+    return [...new Set(this._categoryLines(tx).map((l) => l.categoryId))]
+      .map((categoryId) => {
+        const s = status.find((x) => x.categoryId === categoryId);
+        if (!s || s.available <= 0) return null;
+        const prior = counted ? this._categoryAmount(previous, categoryId) : 0;
+        const before = (s.spent - this._categoryAmount(tx, categoryId) + prior) / s.available;
+        const after = s.spent / s.available;
+        if (before < 1 && after >= 1) return { categoryId, category: s.category, level: 100 };
+        if (before < 0.8 && after >= 0.8) return { categoryId, category: s.category, level: 80 };
+        return null;
+      })
+      .filter(Boolean);
+  }
+
+  // =============== المرفقات ===============
+  // صور الإيصالات وملفات PDF تُحفظ كـ Blob في مخزن الملفات (this.files) لا في بيانات JSON،
+  // والمعاملة تحمل بياناتها الوصفية فقط: attachments = [{ id, name, type, size, addedAt }]
+  static ATTACHMENT_TYPES = /^(image\/[\w.+-]+|application\/pdf)$/;
+  static MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024;
+
+  async addAttachment(txId, file) {
+    if (!this.getTransactions().some((t) => t.id === txId)) throw new Error("المعاملة غير موجودة");
+    if (!FinanceStorage.ATTACHMENT_TYPES.test(file?.type || "")) throw new Error("المرفق يجب أن يكون صورة أو ملف PDF");
+    if (file.size > FinanceStorage.MAX_ATTACHMENT_SIZE) throw new Error("حجم المرفق يتجاوز 10 ميغابايت");
+    const meta = { id: this._id("att"), name: file.name || "مرفق", type: file.type, size: file.size, addedAt: new Date().toISOString() };
+    await this.files.put(meta.id, file);
+
+    // قراءة المعاملات بعد انتهاء الحفظ حتى لا تُفقد تعديلات جرت أثناءه
+    const txs = this.getTransactions();
+    const tx = txs.find((t) => t.id === txId);
+    if (!tx) {
+      await this.files.delete(meta.id);
+      throw new Error("المعاملة غير موجودة");
+    }
+    tx.attachments = [...(tx.attachments || []), meta];
+    this._write(this.keys.transactions, txs);
+    return meta;
+  }
+
+  // Blob المرفق أو null إن لم يوجد في هذا الجهاز
+  async getAttachment(attachmentId) {
+    return this.files.get(attachmentId);
+  }
+
+  async deleteAttachment(txId, attachmentId) {
+    const txs = this.getTransactions();
+    const tx = txs.find((t) => t.id === txId);
+    if (!tx || !(tx.attachments || []).some((a) => a.id === attachmentId)) return false;
+    tx.attachments = tx.attachments.filter((a) => a.id !== attachmentId);
+    this._write(this.keys.transactions, txs);
     return true;
   }
 
+  // حذف الملفات التي لم تعد أي معاملة ولا أي قيد في سجل التغييرات يشير إليها — يُرجع عدد المحذوف
+  async pruneAttachments() {
+    const snapshots = this.getAuditLog().flatMap((e) => e.changes.filter((c) => c.key === "transactions").flatMap((c) => [c.before, c.after]));
+    const used = new Set([...this.getTransactions(), ...snapshots].flatMap((t) => (t?.attachments || []).map((a) => a.id)));
+    const orphans = (await this.files.keys()).filter((id) => !used.has(id));
+    for (const id of orphans) await this.files.delete(id);
+    return orphans.length;
+  }
+
+  async _exportAttachments() {
+    const out = [];
+    for (const t of this.getTransactions()) {
+      for (const a of t.attachments || []) {
+        const blob = await this.files.get(a.id);
+        if (blob) out.push({ id: a.id, name: a.name, type: a.type, data: await this._blobToBase64(blob) });
+      }
+    }
+    return out;
+  }
+
+  // الملف يُقبل فقط إن كانت له معاملة تشير إليه بنوع مسموح وحجم ضمن الحد، ويُحفظ بنوعها لا بالنوع المذكور بجانبه
+  // → عدد المرفقات المتجاهلة
+  async _importAttachments(list = []) {
+    const metas = new Map(this.getTransactions().flatMap((t) => (t.attachments || []).map((m) => [m.id, m])));
+    let skipped = 0;
+    for (const a of list || []) {
+      const meta = metas.get(a?.id);
+      const valid = meta && typeof a.data === "string" && FinanceStorage.ATTACHMENT_TYPES.test(meta.type || "") &&
+        a.data.length * 0.75 <= FinanceStorage.MAX_ATTACHMENT_SIZE;
+      try {
+        if (!valid) throw new Error("مرفق غير صالح");
+        await this.files.put(a.id, this._base64ToBlob(a.data, meta.type));
+      } catch {
+        skipped++;
+      }
+    }
+    return skipped;
+  }
+
+  _blobToBase64(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(String(reader.result).split(",")[1] || "");
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  }
+
+  _base64ToBlob(data, type = "") {
+    const bin = atob(data);
+    const bytes = new Uint8Array(bin.length);
+    for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+    return new Blob([bytes], { type });
+  }
+
+  // =============== التقارير ===============
+  // period: "YYYY-MM" لشهر أو "YYYY" لسنة أو "" لكل الفترات
+  // المبالغ بالعملة الأساسية، عدا نشاط الحسابات فبعملة كل حساب
+
+  _inPeriod(date, period) {
+    return !period || String(date || "").startsWith(period);
+  }
+
+  // المصروف (أو الدخل) حسب الفئة مرتبًا تنازليًا، مع نسبة كل فئة من الإجمالي
+  // سطور التقسيم تُحتسب كلٌّ في فئته
+  getCategoryReport(period = this._monthOf(this._todayISO()), type = "expense") {
+    const rows = new Map();
+    for (const t of this.getTransactions()) {
+      if (t.type !== type || t.debtId || !this._inPeriod(t.date, period)) continue;
+      for (const { categoryId, category, amount } of this._categoryLines(t)) {
+        const row = rows.get(categoryId) || { categoryId, category, amount: 0, count: 0 };
+        row.amount += amount;
+        row.count += 1;
+        rows.set(categoryId, row);
+      }
+    }
+    const total = [...rows.values()].reduce((s, r) => s + r.amount, 0);
+    return [...rows.values()]
+      .map((r) => ({ ...r, pct: total > 0 ? Math.round((r.amount / total) * 100) : 0 }))
+      .sort((a, b) => b.amount - a.amount);
+  }
+
+  // إجماليات كل وسم في الفترة (دفعات الديون والتحويلات تُعدّ ولا تدخل في الدخل والمصروف)
+  getTagReport(period = "") {
+    const rows = new Map();
+    for (const t of this.getTransactions()) {
+      if (!t.tags?.length || !this._inPeriod(t.date, period)) continue;
+      const amount = t.debtId || t.type === "transfer" ? 0 : this.amountInBase(t);
+      for (const tag of t.tags) {
+        const row = rows.get(tag) || { tag, count: 0, income: 0, expense: 0, net: 0 };
+        row.count += 1;
+        if (amount) row[t.type] += amount;
+        rows.set(tag, row);
+      }
+    }
+    for (const row of rows.values()) row.net = row.income - row.expense;
+    return [...rows.values()].sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+  }
+
+  // كل الوسوم المستخدمة (الأكثر استخدامًا أولًا)
+  getTags() {
+    return this.getTagReport().map((r) => r.tag);
+  }
+
+  // الدخل مقابل المصروف لكل شهر من آخر months شهرًا حتى endMonth (الأقدم أولًا)
+  getMonthlyTotals(months = 12, endMonth = this._monthOf(this._todayISO())) {
+    const list = [endMonth];
+    while (list.length < months) list.unshift(this._prevMonth(list[0]));
+    const rows = new Map(list.map((month) => [month, { month, income: 0, expense: 0, net: 0 }]));
+    for (const t of this.getTransactions()) {
+      if (t.debtId || (t.type !== "income" && t.type !== "expense")) continue;
+      const row = rows.get(this._monthOf(t.date));
+      if (row) row[t.type] += this.amountInBase(t);
+    }
+    for (const row of rows.values()) row.net = row.income - row.expense;
+    return [...rows.values()];
+  }
+
+  // الداخل والخارج لكل حساب خلال الفترة — يشمل التحويلات ودفعات الديون وحركات السجل
+  // (صافي الحساب = تغيّر رصيده خلال الفترة)
+  getAccountActivity(period = this._monthOf(this._todayISO())) {
+    const rows = new Map(
+      this.getAccounts().map((a) => [a.id, { accountId: a.id, name: a.name, currency: this._currencyOf(a), inflow: 0, outflow: 0, net: 0, count: 0 }])
+    );
+    const add = (accountId, delta) => {
+      const row = rows.get(accountId);
+      if (!row) return;
+      if (delta >= 0) row.inflow += delta;
+      else row.outflow -= delta;
+      row.count += 1;
+    };
+    for (const t of this.getTransactions()) {
+      if (!this._inPeriod(t.date, period)) continue;
+      for (const [accountId, delta] of this._transactionDeltas(t)) add(accountId, delta);
+    }
+    for (const m of this.getLedger()) {
+      if (this._inPeriod(m.date, period)) add(m.accountId, this._parseAmount(m.amount));
+    }
+    for (const row of rows.values()) row.net = row.inflow - row.outflow;
+    return [...rows.values()];
+  }
+
   // =============== الادخار ===============
-  getSavingsGoals() {
-    return this._read(this.keys.savings, []);
+  // الرصيد الحالي مشتق: من رصيد الحساب المرتبط (إن وُجد) أو startAmount + سجل الإيداعات/السحوبات
+  getSavingsGoals(today = this._todayISO()) {
+    return this._read(this.keys.savings, []).map((g) => this._goalView(g, today));
+  }
+
+  getSavingsGoal(goalId) {
+    return this.getSavingsGoals().find((g) => g.id === goalId) || null;
+  }
+
+  _goalView(g, today) {
+    const round = (n) => Math.round(n * 100) / 100;
+    const linked = g.accountId ? this._findAccount(g.accountId) : null;
+    const net = (g.history || []).reduce((s, h) => s + (h.type === "contribution" ? 1 : -1) * this._parseAmount(h.amount), 0);
+    const currentAmount = round(linked ? this._parseAmount(linked.balance) : this._parseAmount(g.startAmount) + net);
+    const target = this._parseAmount(g.targetAmount);
+    const remaining = round(Math.max(0, target - currentAmount));
+    const view = {
+      ...g,
+      linkedAccount: linked ? { id: linked.id, name: linked.name, currency: this._currencyOf(linked) } : null,
+      currentAmount,
+      remaining,
+      pct: target > 0 ? Math.min(100, Math.round((currentAmount / target) * 100)) : 0,
+      monthsLeft: null,
+      monthlyNeeded: null,
+      expectedAmount: null,
+      behind: false,
+    };
+    if (!g.targetDate || remaining <= 0) return view;
+
+    // المطلوب شهريًا حتى التاريخ المستهدف، والمتوقع لو كان الادخار بوتيرة ثابتة منذ الإنشاء
+    const daysLeft = this._daysBetween(today, g.targetDate);
+    const start = String(g.createdAt || today).slice(0, 10);
+    const totalDays = Math.max(1, this._daysBetween(start, g.targetDate));
+    const elapsed = Math.min(totalDays, Math.max(0, this._daysBetween(start, today)));
+    view.monthsLeft = Math.max(0, Math.round((daysLeft / 30.44) * 10) / 10);
+    view.monthlyNeeded = daysLeft > 0 ? round(remaining / Math.max(1, daysLeft / 30.44)) : remaining;
+    view.expectedAmount = round(target * (elapsed / totalDays));
+    view.behind = daysLeft < 0 || currentAmount + 0.005 < view.expectedAmount;
+    return view;
   }
 
-  async addSavingsGoal({ name, targetAmount, currentAmount = 0, targetDate = "", description = "", createdAt = null }) {
-    const goals = this.getSavingsGoals();
+  // account: حساب (يفضَّل من نوع savings) يتبع الهدف رصيده بدل سجل الإيداعات
+  async addSavingsGoal({ name, targetAmount, currentAmount = 0, targetDate = "", description = "", account = "", createdAt = null }) {
+    const goals = this._read(this.keys.savings, []);
+    const acc = account ? this._findAccount(account) : null;
+    if (account && !acc) throw new Error("الحساب المحدد غير موجود");
     const g = {
       id: this._id("sav"),
       name: name?.trim(),
       targetAmount: this._parseAmount(targetAmount),
-      currentAmount: this._parseAmount(currentAmount),
+      startAmount: acc ? 0 : this._parseAmount(currentAmount), // ما كان مدخرًا قبل بدء التتبع
       targetDate,
       description,
+      accountId: acc?.id || null,
+      history: [], // { id, type: contribution | withdrawal, amount, accountId, date, note, movementId }
       createdAt: createdAt || new Date().toISOString(),
     };
     goals.push(g);
     this._write(this.keys.savings, goals);
-    return g;
+    return this._goalView(g, this._todayISO());
   }
 
-  async updateSavingsGoal(goalId, { name, targetAmount, currentAmount, targetDate }) {
-    const goals = this.getSavingsGoals();
+  // الرصيد الحالي لا يُعدَّل يدويًا — يتغير فقط بالإيداع والسحب أو برصيد الحساب المرتبط
+  async updateSavingsGoal(goalId, { name, targetAmount, targetDate, account }) {
+    const goals = this._read(this.keys.savings, []);
     const idx = goals.findIndex(g => g.id === goalId);
     if (idx === -1) return false;
     if (name) goals[idx].name = name;
     if (targetAmount != null) goals[idx].targetAmount = this._parseAmount(targetAmount);
-    if (currentAmount != null) goals[idx].currentAmount = this._parseAmount(currentAmount);
     if (targetDate != null) goals[idx].targetDate = targetDate;
+    if (account !== undefined) {
+      const acc = account ? this._findAccount(account) : null;
+      if (account && !acc) throw new Error("الحساب المحدد غير موجود");
+      goals[idx].accountId = acc?.id || null;
+    }
     this._write(this.keys.savings, goals);
     return true;
   }
 
-  async contributeToSavings(goalId, amount, fromAccount) {
+  async contributeToSavings(goalId, amount, fromAccount, options = {}) {
+    return this._moveSavings(goalId, amount, fromAccount, options, "contribution");
+  }
+
+  // سحب من الهدف وإعادته إلى حساب
+  async withdrawFromSavings(goalId, amount, toAccount, options = {}) {
+    return this._moveSavings(goalId, amount, toAccount, options, "withdrawal");
+  }
+
+  _moveSavings(goalId, amount, accountNameOrId, { date = "", note = "" }, type) {
     amount = this._parseAmount(amount);
-    const goals = this.getSavingsGoals();
-    const idx = goals.findIndex(g => g.id === goalId);
-    if (idx === -1) return false;
-    const acc = this._findAccount(fromAccount);
+    const goals = this._read(this.keys.savings, []);
+    const g = goals.find((x) => x.id === goalId);
+    if (!g || !(amount > 0)) return false;
+    if (g.accountId) throw new Error("هذا الهدف مرتبط بحساب — حوّل إلى الحساب أو منه مباشرة");
+    const acc = this._findAccount(accountNameOrId);
     if (!acc) return false;
-    // خصم من الحساب + زيادة في الادخار
-    this._setAccountBalance(acc.id, (acc.balance || 0) - amount);
-    goals[idx].currentAmount = this._parseAmount((goals[idx].currentAmount || 0) + amount);
+    const isWithdrawal = type === "withdrawal";
+    if (isWithdrawal && amount - this._goalView(g, this._todayISO()).currentAmount > 0.005) {
+      throw new Error("المبلغ أكبر من رصيد الهدف");
+    }
+
+    // الإيداع يخصم من الحساب، والسحب يعيد المبلغ إليه
+    const day = date || this._todayISO();
+    const move = this._recordMovement(acc.id, isWithdrawal ? amount : -amount, { source: "savings", refId: g.id, date: day, note });
+    const entry = { id: this._id("sv"), type, amount, accountId: acc.id, date: day, note, movementId: move.id };
+    g.history = [...(g.history || []), entry];
     this._write(this.keys.savings, goals);
-    return true;
+    return entry;
   }
 
   // =============== الفئات ===============
@@ -394,23 +2710,132 @@ class FinanceStorage {
     return this._read(this.keys.categories, []);
   }
 
-  async addCategory({ name, type = "expense", icon = "🏷️", color = "#ccc" }) {
+  // color فارغ = بلا لون (تختار الواجهة لونًا من لوحتها)
+  async addCategory({ name, type = "expense", icon = "🏷️", color = "" }) {
+    if (!name?.trim()) throw new Error("اسم الفئة مطلوب");
     const cats = this.getCategories();
-    const exists = cats.some((c) => c.name === name && c.type === type);
-    if (exists) return cats.find((c) => c.name === name && c.type === type);
+    const exists = cats.find((c) => c.name === name.trim() && c.type === type);
+    if (exists) return exists;
 
     const c = {
       id: this._id("cat"),
-      name: name?.trim(),
+      name: name.trim(),
       type, // income | expense
-      icon,
-      color,
+      icon: icon || "🏷️",
+      color: color || "",
     };
     cats.push(c);
     this._write(this.keys.categories, cats);
     return c;
   }
 
+  // تعديل الاسم/الأيقونة/اللون — المعاملات تشير للفئة بمعرّفها، فيُحدَّث الاسم المخزّن معها فقط
+  async updateCategory(categoryId, { name, icon, color }) {
+    const cats = this.getCategories();
+    const c = cats.find((x) => x.id === categoryId);
+    if (!c) return false;
+    if (name != null) {
+      const next = String(name).trim();
+      if (!next) throw new Error("اسم الفئة مطلوب");
+      if (cats.some((x) => x.id !== c.id && x.type === c.type && x.name === next)) throw new Error("توجد فئة أخرى بهذا الاسم — استخدم الدمج");
+      c.name = next;
+    }
+    if (icon != null) c.icon = String(icon).trim() || "🏷️";
+    if (color != null) c.color = color; // "" = بلا لون
+    this._write(this.keys.categories, cats);
+    this._relinkCategory(c.id, c);
+    return c;
+  }
+
+  // عدد ما يشير إلى الفئة: { transactions, recurring, budgets, total }
+  getCategoryUsage(categoryId) {
+    const transactions = this.getTransactions()
+      .filter((t) => t.categoryId === categoryId || (t.splits || []).some((s) => s.categoryId === categoryId)).length;
+    const recurring = this.getRecurring().filter((r) => r.categoryId === categoryId).length;
+    const budgets = this.getBudgets().filter((b) => b.categoryId === categoryId).length;
+    return { transactions, recurring, budgets, total: transactions + recurring + budgets };
+  }
+
+  // الفئة المستخدمة لا تُحذف إلا بنقل معاملاتها إلى فئة أخرى (reassignTo) — انظر mergeCategories
+  async deleteCategory(categoryId, { reassignTo = "" } = {}) {
+    const cats = this.getCategories();
+    if (!cats.some((c) => c.id === categoryId)) return false;
+    if (this.getCategoryUsage(categoryId).total) {
+      if (!reassignTo) throw new Error("الفئة مستخدمة في معاملات أو قوالب أو ميزانيات — اختر فئة تُنقل إليها");
+      await this._nested("mergeCategories", categoryId, reassignTo);
+      return true;
+    }
+    this._write(this.keys.categories, cats.filter((c) => c.id !== categoryId));
+    return true;
+  }
+
+  // دمج source في target: كل ما يشير إلى source ينتقل إلى target ثم تُحذف source
+  // يُرجع عدد المعاملات المنقولة
+  async mergeCategories(sourceId, targetId) {
+    const cats = this.getCategories();
+    const source = cats.find((c) => c.id === sourceId);
+    const target = cats.find((c) => c.id === targetId);
+    if (!source || !target) throw new Error("الفئة غير موجودة");
+    if (source.id === target.id) throw new Error("اختر فئتين مختلفتين");
+    if (source.type !== target.type) throw new Error("لا يمكن دمج فئة دخل مع فئة مصروف");
+    const moved = this._relinkCategory(source.id, target);
+    this._write(this.keys.categories, cats.filter((c) => c.id !== source.id));
+    return moved;
+  }
+
+  // الفئة بمعرّفها أو باسمها (ضمن النوع إن حُدد — فئة دخل لا تُقبل لمصروف ولو بمعرّفها)
+  _findCategory(idOrName, type = null) {
+    const key = String(idOrName ?? "").trim();
+    if (!key) return null;
+    const cats = this.getCategories().filter((c) => !type || c.type === type);
+    return cats.find((c) => c.id === key) || cats.find((c) => c.name === key) || null;
+  }
+
+  // المرجع المخزّن في المعاملات والقوالب والميزانيات: { categoryId, category } (الاسم للعرض والتصدير)
+  // اسم غير معروف (كشف مستورد، نص قديم) يُنشئ فئة جديدة بدل أن يبقى نصًا حرًا
+  _categoryRef(idOrName, type = "expense") {
+    if (!String(idOrName ?? "").trim()) return { categoryId: null, category: "" };
+    let c = this._findCategory(idOrName, type);
+    // معرّف فئة من النوع الآخر (بعد تغيير نوع المعاملة مثلًا) لا يصبح اسم فئة جديدة
+    if (!c && this.getCategories().some((x) => x.id === String(idOrName).trim())) return { categoryId: null, category: "" };
+    if (!c) {
+      c = { id: this._id("cat"), name: String(idOrName).trim(), type, icon: "🏷️", color: "" };
+      this._write(this.keys.categories, [...this.getCategories(), c]);
+    }
+    return { categoryId: c.id, category: c.name };
+  }
+
+  // توجيه كل المراجع إلى fromId نحو target (نفسها بعد إعادة التسمية، أو فئة أخرى عند الدمج)
+  // ميزانيتان لنفس الشهر بعد الدمج تُجمعان في ميزانية الهدف
+  _relinkCategory(fromId, target) {
+    const ref = { categoryId: target.id, category: target.name };
+    const txs = this.getTransactions();
+    let moved = 0;
+    for (const t of txs) {
+      const lines = (t.splits || []).filter((s) => s.categoryId === fromId);
+      if (t.categoryId !== fromId && !lines.length) continue;
+      if (t.categoryId === fromId) Object.assign(t, ref);
+      for (const s of lines) Object.assign(s, ref);
+      moved++;
+    }
+    if (moved) this._write(this.keys.transactions, txs);
+
+    const recurring = this.getRecurring();
+    for (const r of recurring) if (r.categoryId === fromId) Object.assign(r, ref);
+    this._write(this.keys.recurring, recurring);
+
+    const budgets = this.getBudgets();
+    const kept = [];
+    for (const b of budgets) {
+      if (b.categoryId !== fromId) { kept.push(b); continue; }
+      const clash = fromId !== target.id && budgets.find((x) => x.categoryId === target.id && x.month === b.month);
+      if (clash) clash.amount = this._parseAmount(clash.amount + b.amount);
+      else kept.push(Object.assign(b, ref));
+    }
+    this._write(this.keys.budgets, kept);
+    return moved;
+  }
+
   // =============== الأشخاص ===============
   getPeople() {
     return this._read(this.keys.people, []);
@@ -435,5 +2860,14 @@ class FinanceStorage {
   }
 }
 
+// تغليف كل عمليات التعديل العامة بسجل التغييرات (انظر _track)، مع الإبقاء على الأصلية لـ _nested
+FinanceStorage.UNTRACKED = {};
+for (const op of Object.keys(FinanceStorage.AUDITED)) {
+  const original = (FinanceStorage.UNTRACKED[op] = FinanceStorage.prototype[op]);
+  FinanceStorage.prototype[op] = function (...args) {
+    return this._track(op, () => original.apply(this, args));
+  };
+}
+
 // اجعل الكلاس متاحًا عالميًا
 window.FinanceStorage = FinanceStorage;